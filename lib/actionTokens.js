@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { initializeFirebase, getFirestore } = require('./firebase');
+
+const ACTION_TOKENS_COLLECTION = 'actionTokens';
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const actionError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const requireDb = () => {
+  const db = getFirestore();
+  if (!db) throw actionError('action/unavailable', 'Token store not available');
+  return db;
+};
+
+/**
+ * Create a single-use, expiring token for an account action
+ * (email verification, password reset, ...). Only the secret's hash is stored.
+ * @param {string} userId
+ * @param {string} purpose - e.g. 'verify-email', 'reset-password'
+ * @param {number} ttlMs - lifetime in milliseconds
+ * @param {Object} [data] - extra data returned when the token is consumed
+ * @returns {Promise<string>} - "<tokenId>.<secret>", safe to put in a link
+ */
+const createActionToken = async (userId, purpose, ttlMs, data = {}) => {
+  const admin = initializeFirebase();
+  const db = requireDb();
+
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const tokenRef = db.collection(ACTION_TOKENS_COLLECTION).doc();
+
+  await tokenRef.set({
+    userId,
+    purpose,
+    secretHash: hashSecret(secret),
+    data,
+    expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+    usedAt: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return `${tokenRef.id}.${secret}`;
+};
+
+// Throws unless the stored record matches the presented token and is still usable
+const assertUsable = (snap, purpose, secret) => {
+  if (!snap.exists) throw actionError('action/invalid', 'Unknown token');
+
+  const record = snap.data();
+  if (record.purpose !== purpose || record.secretHash !== hashSecret(secret)) {
+    throw actionError('action/invalid', 'Token does not match');
+  }
+  if (record.usedAt) throw actionError('action/used', 'Token has already been used');
+  if (new Date(record.expiresAt) < new Date()) {
+    throw actionError('action/expired', 'Token expired');
+  }
+  return record;
+};
+
+const parseToken = (token) => {
+  const [tokenId, secret] = (token || '').split('.');
+  if (!tokenId || !secret) throw actionError('action/invalid', 'Malformed token');
+  return { tokenId, secret };
+};
+
+/**
+ * Check a token without using it up (e.g. to validate input that depends on
+ * the user before committing). Throws like consumeActionToken.
+ * @returns {Promise<Object>} - { userId, data }
+ */
+const inspectActionToken = async (token, purpose) => {
+  const db = requireDb();
+  const { tokenId, secret } = parseToken(token);
+
+  const snap = await db.collection(ACTION_TOKENS_COLLECTION).doc(tokenId).get();
+  const record = assertUsable(snap, purpose, secret);
+  return { userId: record.userId, data: record.data || {} };
+};
+
+/**
+ * Validate and use up a token
+ * Throws action/invalid, action/expired or action/used
+ * @returns {Promise<Object>} - { userId, data }
+ */
+const consumeActionToken = async (token, purpose) => {
+  const db = requireDb();
+  const { tokenId, secret } = parseToken(token);
+  const tokenRef = db.collection(ACTION_TOKENS_COLLECTION).doc(tokenId);
+
+  return db.runTransaction(async (tx) => {
+    const record = assertUsable(await tx.get(tokenRef), purpose, secret);
+    tx.update(tokenRef, { usedAt: new Date().toISOString() });
+    return { userId: record.userId, data: record.data || {} };
+  });
+};
+
+/**
+ * Mark every outstanding token of a purpose as used, e.g. before sending a
+ * new reset link so only the latest one works
+ */
+const invalidateActionTokens = async (userId, purpose) => {
+  const db = requireDb();
+
+  const outstanding = await db.collection(ACTION_TOKENS_COLLECTION)
+    .where('userId', '==', userId)
+    .where('purpose', '==', purpose)
+    .where('usedAt', '==', null)
+    .get();
+
+  if (outstanding.empty) return;
+
+  const usedAt = new Date().toISOString();
+  const batch = db.batch();
+  outstanding.docs.forEach((doc) => batch.update(doc.ref, { usedAt, superseded: true }));
+  await batch.commit();
+};
+
+module.exports = { createActionToken, inspectActionToken, consumeActionToken, invalidateActionTokens };
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const { generateText, isLLMConfigured, parseJsonResponse } = require('./llm');
+const { UNTRUSTED_CONTENT_RULES, delimit } = require('./promptSafety');
+
+const MAX_RECOMMENDATIONS = 3;
+
+// Activity catalog and deep-link template: config/appRoutes.json
+const appRoutes = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '../config/appRoutes.json'), 'utf8')
+);
+const catalog = new Map(appRoutes.activities.map((activity) => [activity.id, activity]));
+
+const deepLinkFor = (id) => {
+  const template = appRoutes.routes.activities.deepLink || `${appRoutes.routes.activities.path}?activity={id}`;
+  return template.replace('{id}', encodeURIComponent(id));
+};
+
+// ACTIVITY_RECOMMENDATIONS=off turns the extra model call off
+const recommendationsEnabled = () =>
+  process.env.ACTIVITY_RECOMMENDATIONS !== 'off' && isLLMConfigured('activityRecommendations');
+
+/**
+ * Keep only catalog activities (the model can't invent any), without
+ * duplicates, and attach catalog details and a deep link
+ * @param {Array} picks - model output: [{ id, reason }]
+ * @returns {Object[]} - [{ id, title, description, duration, category, deepLink, reason }]
+ */
+const validateRecommendations = (picks, limit = MAX_RECOMMENDATIONS) => {
+  if (!Array.isArray(picks)) return [];
+
+  const recommendations = [];
+  for (const pick of picks) {
+    const activity = catalog.get(pick?.id);
+    if (!activity || recommendations.some((r) => r.id === activity.id)) continue;
+
+    recommendations.push({
+      id: activity.id,
+      title: activity.title,
+      description: activity.description,
+      duration: activity.duration,
+      category: activity.category,
+      deepLink: deepLinkFor(activity.id),
+      reason: typeof pick.reason === 'string' ? pick.reason.slice(0, 200) : '',
+    });
+    if (recommendations.length >= limit) break;
+  }
+  return recommendations;
+};
+
+/**
+ * Ask the model which catalog activities (if any) fit this moment of the chat
+ * Runs as its own JSON-mode call after the reply, so it works for streamed replies too
+ * @param {{ message: string, reply: string, userId?: string }} turn - userId: for usage accounting
+ * @returns {Promise<Object[]|null>} - validated activities ([] when none fit), or
+ *   null when recommendations are off or the call failed
+ */
+const recommendActivities = async ({ message, reply, userId }) => {
+  if (!recommendationsEnabled()) return null;
+
+  const catalogText = appRoutes.activities
+    .map((a) => `- ${a.id}: ${a.title} (${a.duration}, ${a.category}) - ${a.description}`)
+    .join('\n');
+
+  const system = `You suggest wellness activities in a supportive chat app.
+Pick up to ${MAX_RECOMMENDATIONS} activities from the catalog that would genuinely help the user right now.
+Pick none if the user just wants to talk, or if an activity would feel dismissive.
+Use only ids from the catalog.
+
+${UNTRUSTED_CONTENT_RULES}
+
+RESPOND IN THIS EXACT JSON FORMAT (no other text):
+{ "activities": [ { "id": "catalog id", "reason": "one short sentence for the user" } ] }`;
+
+  const prompt = `CATALOG:
+${catalogText}
+
+USER MESSAGE:
+${delimit('user_message', message)}
+
+COMPANION REPLY:
+${delimit('companion_message', reply)}`;
+
+  try {
+    const { text } = await generateText('activityRecommendations', {
+      system,
+      prompt,
+      temperature: 0.2,
+      maxOutputTokens: 300,
+      json: true,
+      userId,
+    });
+    return validateRecommendations(parseJsonResponse(text).activities);
+  } catch (err) {
+    console.error('Activity recommendation failed:', err.code || err.message);
+    return null;
+  }
+};
+
+module.exports = { recommendActivities, validateRecommendations };
@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const { initializeFirebase, getFirestore } = require('./firebase');
+
+// Model usage per user and UTC day: aiUsage/{uid}_{YYYY-MM-DD} holds the day's
+// totals plus features.<feature> totals, each split by model for cost estimates
+const AI_USAGE_COLLECTION = 'aiUsage';
+// Plans set by admins: userPlans/{uid}. Kept off users/{uid}, which clients can update
+const USER_PLANS_COLLECTION = 'userPlans';
+const TOP_USERS = 10;
+
+// Plans and prices: config/aiPlans.json, or a file of the same shape in AI_PLANS_FILE
+const plansConfig = JSON.parse(
+  fs.readFileSync(
+    process.env.AI_PLANS_FILE
+      ? path.resolve(process.env.AI_PLANS_FILE)
+      : path.join(__dirname, '../config/aiPlans.json'),
+    'utf8'
+  )
+);
+if (!plansConfig.plans?.[plansConfig.defaultPlan]) {
+  throw new Error(`AI plans config: defaultPlan "${plansConfig.defaultPlan}" is not a plan`);
+}
+
+const PLANS = Object.keys(plansConfig.plans);
+const GUEST_PLAN = 'guest';
+
+// Shown when a user is over their quota
+const QUOTA_MESSAGES = {
+  chat: "You've reached today's limit for chatting with your companion. It resets at midnight (UTC), and I'll be here then. If you need support right now, please reach out to someone you trust or a crisis helpline.",
+  journalPrompts: "You've used today's personalized journal prompts, so here are a few general ones. New personalized prompts will be ready tomorrow.",
+  default: "You've reached today's AI usage limit. It resets at midnight (UTC).",
+};
+
+const usageError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const requireDb = () => {
+  const db = getFirestore();
+  if (!db) throw usageError('usage/unavailable', 'Usage store not available');
+  return db;
+};
+
+const usageDay = (date = new Date()) => date.toISOString().split('T')[0];
+const usageDocId = (userId, day) => `${userId}_${day}`;
+
+// Next UTC midnight, when daily quotas reset
+const nextResetAt = () => {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset.toISOString();
+};
+
+const isGuestId = (userId) => userId.startsWith('guest_');
+
+/* ----------------------------------------------------------
+   RECORDING
+---------------------------------------------------------- */
+/**
+ * Add one model call to the user's usage for today. Calls without a userId
+ * are not recorded. Never throws; meant as a lib/llm onUsage listener.
+ * @param {{ userId?: string, feature: string, model: string, usage: { inputTokens: number, outputTokens: number } }} event
+ */
+const recordUsage = async ({ userId, feature, model, usage }) => {
+  if (!userId) return;
+
+  try {
+    const db = getFirestore();
+    if (!db) return;
+    const admin = initializeFirebase();
+    const { increment, serverTimestamp } = admin.firestore.FieldValue;
+
+    const counts = () => ({
+      requests: increment(1),
+      inputTokens: increment(usage?.inputTokens || 0),
+      outputTokens: increment(usage?.outputTokens || 0),
+    });
+    const date = usageDay();
+
+    await db.collection(AI_USAGE_COLLECTION).doc(usageDocId(userId, date)).set(
+      {
+        userId,
+        guest: isGuestId(userId),
+        date,
+        ...counts(),
+        features: { [feature]: { ...counts(), models: { [model]: counts() } } },
+        updatedAt: serverTimestamp(),
+      },
+      { merge: true }
+    );
+  } catch (err) {
+    console.error('Error recording AI usage:', err.code || err.message);
+  }
+};
+
+/* ----------------------------------------------------------
+   QUOTAS
+---------------------------------------------------------- */
+/**
+ * The user's plan: "guest" for guests, else userPlans/{uid}.plan if it is a
+ * known plan, else the config's defaultPlan
+ * @param {{ uid: string, guest?: boolean }} user - req.user
+ */
+const getUserPlan = async (user) => {
+  if (user.guest) return GUEST_PLAN in plansConfig.plans ? GUEST_PLAN : plansConfig.defaultPlan;
+
+  const db = getFirestore();
+  if (!db) return plansConfig.defaultPlan;
+  const planDoc = await db.collection(USER_PLANS_COLLECTION).doc(user.uid).get();
+  const plan = planDoc.exists ? planDoc.data().plan : null;
+  return PLANS.includes(plan) ? plan : plansConfig.defaultPlan;
+};
+
+const getDailyUsage = async (db, userId) => {
+  const doc = await db.collection(AI_USAGE_COLLECTION).doc(usageDocId(userId, usageDay())).get();
+  return doc.exists ? doc.data() : {};
+};
+
+const totalTokens = (counts) => (counts?.inputTokens || 0) + (counts?.outputTokens || 0);
+
+/**
+ * Whether the user may make another call for a feature today. Allowed when
+ * there is no database to count against.
+ * @param {{ uid: string, guest?: boolean }} user - req.user
+ * @param {string} feature - lib/llm feature, e.g. 'chat'
+ * @returns {Promise<{ allowed: boolean, plan: string, feature: string, resetAt: string,
+ *   exceeded: { type: 'tokens'|'requests', limit: number, used: number }|null }>}
+ */
+const checkQuota = async (user, feature) => {
+  const plan = await getUserPlan(user);
+  const result = { allowed: true, plan, feature, resetAt: nextResetAt(), exceeded: null };
+
+  const db = getFirestore();
+  if (!db) return result;
+
+  const limits = plansConfig.plans[plan];
+  const usage = await getDailyUsage(db, user.uid);
+
+  const tokensUsed = totalTokens(usage);
+  if (limits.tokensPerDay != null && tokensUsed >= limits.tokensPerDay) {
+    result.exceeded = { type: 'tokens', limit: limits.tokensPerDay, used: tokensUsed };
+  }
+
+  const requestLimit = limits.requestsPerDay?.[feature];
+  const requestsUsed = usage.features?.[feature]?.requests || 0;
+  if (!result.exceeded && requestLimit != null && requestsUsed >= requestLimit) {
+    result.exceeded = { type: 'requests', limit: requestLimit, used: requestsUsed };
+  }
+
+  result.allowed = !result.exceeded;
+  return result;
+};
+
+/**
+ * Friendly response body for a request over quota (sent with 429)
+ * @param {Object} quota - from checkQuota
+ */
+const quotaExceededBody = (quota) => ({
+  error: QUOTA_MESSAGES[quota.feature] || QUOTA_MESSAGES.default,
+  code: 'quota/exceeded',
+  plan: quota.plan,
+  limit: quota.exceeded,
+  resetAt: quota.resetAt,
+});
+
+// Seconds until the quota resets, for Retry-After
+const retryAfterSeconds = (quota) =>
+  Math.max(1, Math.ceil((new Date(quota.resetAt) - Date.now()) / 1000));
+
+/**
+ * Today's usage against the user's plan
+ * @returns {Promise<Object>} - { date, plan, resetAt, tokens: { used, limit }, features: { [feature]: { requests, limit } } }
+ */
+const getUsageSummary = async (user) => {
+  const db = requireDb();
+  const plan = await getUserPlan(user);
+  const limits = plansConfig.plans[plan];
+  const usage = await getDailyUsage(db, user.uid);
+
+  const featureNames = new Set([
+    ...Object.keys(limits.requestsPerDay || {}),
+    ...Object.keys(usage.features || {}),
+  ]);
+
+  return {
+    date: usageDay(),
+    plan,
+    resetAt: nextResetAt(),
+    tokens: { used: totalTokens(usage), limit: limits.tokensPerDay ?? null },
+    features: Object.fromEntries(
+      [...featureNames].map((feature) => [
+        feature,
+        {
+          requests: usage.features?.[feature]?.requests || 0,
+          limit: limits.requestsPerDay?.[feature] ?? null,
+        },
+      ])
+    ),
+  };
+};
+
+/**
+ * Put a user on a plan (admin only; stored on userPlans/{uid})
+ * @param {string} setBy - uid of the admin
+ */
+const setUserPlan = async (uid, plan, setBy) => {
+  const admin = initializeFirebase();
+  const db = requireDb();
+  if (!PLANS.includes(plan)) {
+    throw usageError('usage/invalid', `plan must be one of: ${PLANS.join(', ')}`);
+  }
+
+  await db.collection(USER_PLANS_COLLECTION).doc(uid).set({
+    plan,
+    setBy: setBy || null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return { uid, plan, limits: plansConfig.plans[plan] };
+};
+
+/* ----------------------------------------------------------
+   COST TRENDS
+---------------------------------------------------------- */
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Estimated USD cost of { [model]: { inputTokens, outputTokens } }
+const estimateCost = (models = {}) =>
+  Object.entries(models).reduce((sum, [model, counts]) => {
+    const price = plansConfig.pricing?.[model] || plansConfig.pricing?.default || {};
+    return sum
+      + ((counts.inputTokens || 0) * (price.inputPerMillion || 0)
+      + (counts.outputTokens || 0) * (price.outputPerMillion || 0)) / 1e6;
+  }, 0);
+
+const emptyTotals = () => ({ requests: 0, inputTokens: 0, outputTokens: 0, estimatedCost: 0 });
+
+const addCounts = (totals, counts, cost) => {
+  totals.requests += counts.requests || 0;
+  totals.inputTokens += counts.inputTokens || 0;
+  totals.outputTokens += counts.outputTokens || 0;
+  totals.estimatedCost += cost;
+};
+
+const finishTotals = (totals) => ({ ...totals, estimatedCost: round(totals.estimatedCost, 4) });
+
+/**
+ * Usage and estimated cost per day (oldest first, days without usage included),
+ * per feature, and the heaviest users, over the last `days` days (UTC, including today)
+ * @param {{ days?: number, userId?: string, feature?: string }} [options] - feature: count only that feature
+ */
+const getUsageTrends = async ({ days = 30, userId, feature } = {}) => {
+  const db = requireDb();
+
+  const start = new Date();
+  start.setUTCDate(start.getUTCDate() - (days - 1));
+  const startDate = usageDay(start);
+  const endDate = usageDay();
+
+  // One range or equality filter each, so no composite index is needed
+  const snapshot = userId
+    ? await db.collection(AI_USAGE_COLLECTION).where('userId', '==', userId).get()
+    : await db.collection(AI_USAGE_COLLECTION).where('date', '>=', startDate).get();
+
+  const byDay = new Map();
+  for (let i = 0; i < days; i++) {
+    const day = new Date(start);
+    day.setUTCDate(day.getUTCDate() + i);
+    byDay.set(usageDay(day), { ...emptyTotals(), users: new Set() });
+  }
+  const byFeature = {};
+  const byUser = {};
+  const totals = { ...emptyTotals(), users: new Set() };
+
+  snapshot.docs
+    .map((doc) => doc.data())
+    .filter((usage) => usage.date >= startDate && usage.date <= endDate)
+    .forEach((usage) => {
+      Object.entries(usage.features || {})
+        .filter(([name]) => !feature || name === feature)
+        .forEach(([name, counts]) => {
+          const cost = estimateCost(counts.models);
+          byFeature[name] = byFeature[name] || emptyTotals();
+          byUser[usage.userId] = byUser[usage.userId] || emptyTotals();
+
+          [byDay.get(usage.date), byFeature[name], byUser[usage.userId], totals]
+            .forEach((bucket) => addCounts(bucket, counts, cost));
+          byDay.get(usage.date).users.add(usage.userId);
+          totals.users.add(usage.userId);
+        });
+    });
+
+  const topUsers = Object.entries(byUser)
+    .map(([id, userTotals]) => ({ userId: id, ...finishTotals(userTotals) }))
+    .sort((a, b) =>
+      b.estimatedCost - a.estimatedCost
+      || (b.inputTokens + b.outputTokens) - (a.inputTokens + a.outputTokens))
+    .slice(0, TOP_USERS);
+
+  return {
+    startDate,
+    endDate,
+    currency: 'USD',
+    totals: { ...finishTotals(totals), users: totals.users.size },
+    days: [...byDay.entries()].map(([date, day]) => ({ date, ...finishTotals(day), users: day.users.size })),
+    features: Object.fromEntries(Object.entries(byFeature).map(([name, t]) => [name, finishTotals(t)])),
+    topUsers,
+  };
+};
+
+module.exports = {
+  AI_USAGE_COLLECTION,
+  USER_PLANS_COLLECTION,
+  PLANS,
+  recordUsage,
+  getUserPlan,
+  checkQuota,
+  quotaExceededBody,
+  retryAfterSeconds,
+  getUsageSummary,
+  setUserPlan,
+  estimateCost,
+  getUsageTrends,
+};
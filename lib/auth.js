@@ -0,0 +1,138 @@
+const { initializeFirebase, getFirestore } = require('./firebase');
+const { tokenErrorResponse, isGuestToken, verifyGuestToken } = require('./sessionTokens');
+const { verifyAccessToken } = require('./sessions');
+
+const ROLES = ['user', 'moderator', 'admin', 'clinician'];
+
+// Keep only known role names; every account has at least "user"
+const normalizeRoles = (roles) => {
+  const list = Array.isArray(roles) ? roles : roles ? [roles] : [];
+  const known = list.filter((role) => ROLES.includes(role));
+  return known.includes('user') ? known : ['user', ...known];
+};
+
+/**
+ * Resolve a user's roles
+ * Custom claims (`roles` array or `role` string) win; otherwise the `roles`
+ * field on the users document is used
+ * @param {Object} userRecord - Firebase Auth user record
+ * @returns {Promise<string[]>}
+ */
+const loadUserRoles = async (userRecord) => {
+  const claims = userRecord.customClaims || {};
+  if (claims.roles || claims.role) {
+    return normalizeRoles(claims.roles || claims.role);
+  }
+
+  const db = getFirestore();
+  if (!db) return normalizeRoles();
+
+  const userDoc = await db.collection('users').doc(userRecord.uid).get();
+  return normalizeRoles(userDoc.exists ? userDoc.data().roles : undefined);
+};
+
+/**
+ * Middleware: verify the session token and attach req.user
+ * req.user = { uid, email, name, sessionId, roles }
+ */
+const verifyToken = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split('Bearer ')[1];
+    if (!token) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+
+    let uid, sessionId;
+    try {
+      // Verify the signed access token and that its session is still active
+      ({ uid, sessionId } = await verifyAccessToken(token));
+    } catch (tokenError) {
+      console.error('Session token rejected:', tokenError.code || tokenError.message);
+      return res.status(401).json(tokenErrorResponse(tokenError));
+    }
+
+    const admin = initializeFirebase();
+    const userRecord = await admin.auth().getUser(uid);
+    if (userRecord.disabled) {
+      return res.status(403).json({ error: 'User account is disabled' });
+    }
+
+    req.user = {
+      uid: userRecord.uid,
+      email: userRecord.email,
+      name: userRecord.displayName,
+      sessionId,
+      roles: await loadUserRoles(userRecord),
+    };
+
+    next();
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      console.error('User not found in Firebase Auth:', error.message);
+      return res.status(401).json({
+        error: 'User not found',
+        message: 'Please sign in again to create a new session'
+      });
+    }
+
+    console.error('Token verification error:', error.code || error.message);
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+};
+
+/**
+ * Middleware: like verifyToken, but also accepts a guest token from
+ * POST /api/auth/guest. Guests get req.user = { uid: 'guest_...', guest: true, roles: [] }
+ */
+const verifyTokenOrGuest = (req, res, next) => {
+  const token = req.headers.authorization?.split('Bearer ')[1];
+  if (!token || !isGuestToken(token)) {
+    return verifyToken(req, res, next);
+  }
+
+  try {
+    const { guestId } = verifyGuestToken(token);
+    req.user = { uid: guestId, email: null, name: null, guest: true, roles: [] };
+    next();
+  } catch (tokenError) {
+    console.error('Guest token rejected:', tokenError.code || tokenError.message);
+    return res.status(401).json(tokenErrorResponse(tokenError));
+  }
+};
+
+// True when the authenticated user holds at least one of the roles
+const hasRole = (user, ...roles) => !!user?.roles?.some((role) => roles.includes(role));
+
+/**
+ * Middleware factory: allow the request only if req.user has one of the roles
+ * Use after verifyToken, e.g. router.get('/x', verifyToken, requireRole('admin'), ...)
+ */
+const requireRole = (...roles) => {
+  const unknown = roles.filter((role) => !ROLES.includes(role));
+  if (unknown.length > 0) {
+    throw new Error(`requireRole: unknown role(s) ${unknown.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasRole(req.user, ...roles)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        requiredRoles: roles,
+      });
+    }
+    next();
+  };
+};
+
+module.exports = {
+  ROLES,
+  normalizeRoles,
+  loadUserRoles,
+  verifyToken,
+  verifyTokenOrGuest,
+  hasRole,
+  requireRole,
+};
@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const { initializeFirebase, getFirestore } = require('./firebase');
+
+const ATTEMPTS_COLLECTION = 'authAttempts';
+const LOCKOUT_EVENTS_COLLECTION = 'lockoutEvents';
+
+// Failures allowed before backoff starts, and how the lockout grows after that
+const POLICIES = {
+  account: { freeFailures: 5, baseLockMs: 30 * 1000, maxLockMs: 60 * 60 * 1000 },
+  ip: { freeFailures: 20, baseLockMs: 60 * 1000, maxLockMs: 60 * 60 * 1000 },
+};
+
+// Failures older than this no longer count
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Requests allowed per window, whether they succeed or not:
+// - guest: guest tokens per IP, so fresh guest ids can't dodge the guest quota
+// - mail-ip, mail-account: verification and password reset emails per IP and per address
+const ALLOWANCES = {
+  guest: { limit: parseInt(process.env.GUEST_TOKENS_PER_IP, 10) || 10, windowMs: 24 * 60 * 60 * 1000 },
+  'mail-ip': { limit: 10, windowMs: 60 * 60 * 1000 },
+  'mail-account': { limit: 3, windowMs: 60 * 60 * 1000 },
+};
+
+const ACCOUNT_TYPES = ['account', 'mail-account'];
+
+const normalizeIdentifier = (type, identifier) =>
+  ACCOUNT_TYPES.includes(type) ? String(identifier).trim().toLowerCase() : String(identifier);
+
+const attemptKey = (type, identifier) =>
+  `${type}_${crypto.createHash('sha256').update(normalizeIdentifier(type, identifier)).digest('hex').slice(0, 40)}`;
+
+// Emails and IPs are only stored hashed (in the key); lockout events keep a
+// masked form for admins, e.g. "j***@example.com" or "203.0.113.x"
+const maskIdentifier = (type, identifier) => {
+  if (!identifier) return null;
+  const value = normalizeIdentifier(type, identifier);
+  if (type === 'account') {
+    const [local, domain] = value.split('@');
+    return `${local.slice(0, 1)}***@${domain || ''}`;
+  }
+  if (value.includes('.')) return `${value.split('.').slice(0, 3).join('.')}.x`;
+  return `${value.split(':').slice(0, 3).join(':')}:x`;
+};
+
+// Subjects tracked for a request: always the IP, plus the account when known
+const subjectsFor = ({ ip, email }) => {
+  const subjects = [];
+  if (ip) subjects.push({ type: 'ip', identifier: ip });
+  if (email) subjects.push({ type: 'account', identifier: normalizeIdentifier('account', email) });
+  return subjects;
+};
+
+/**
+ * Lock duration after `failures` failed attempts (0 while under the free limit)
+ * Doubles with every failure past the limit, capped at maxLockMs
+ */
+const lockDurationMs = (type, failures) => {
+  const { freeFailures, baseLockMs, maxLockMs } = POLICIES[type];
+  if (failures < freeFailures) return 0;
+  return Math.min(baseLockMs * 2 ** (failures - freeFailures), maxLockMs);
+};
+
+/**
+ * Check whether the IP or account is currently locked
+ * @param {Object} subject - { ip, email }
+ * @returns {Promise<{ locked: boolean, retryAfterSeconds: number, type?: string }>}
+ */
+const checkLock = async (subject) => {
+  const db = getFirestore();
+  if (!db) return { locked: false, retryAfterSeconds: 0 };
+
+  const now = Date.now();
+  let result = { locked: false, retryAfterSeconds: 0 };
+
+  for (const { type, identifier } of subjectsFor(subject)) {
+    const snap = await db.collection(ATTEMPTS_COLLECTION).doc(attemptKey(type, identifier)).get();
+    const lockedUntil = snap.exists ? snap.data().lockedUntil : null;
+    if (lockedUntil && new Date(lockedUntil).getTime() > now) {
+      const retryAfterSeconds = Math.ceil((new Date(lockedUntil).getTime() - now) / 1000);
+      if (retryAfterSeconds > result.retryAfterSeconds) {
+        result = { locked: true, retryAfterSeconds, type };
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Record a failed attempt for the IP and account, locking them when the
+ * policy says so. Every new lock is written to lockoutEvents for admin review.
+ * @param {Object} subject - { ip, email }
+ * @param {string} endpoint - e.g. 'signin', 'signup', '2fa'
+ */
+const recordFailure = async (subject, endpoint) => {
+  const admin = initializeFirebase();
+  const db = getFirestore();
+  if (!db) return;
+
+  for (const { type, identifier } of subjectsFor(subject)) {
+    const ref = db.collection(ATTEMPTS_COLLECTION).doc(attemptKey(type, identifier));
+
+    const lock = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      const now = Date.now();
+      const previous = snap.exists ? snap.data() : null;
+
+      const withinWindow = previous?.lastFailureAt
+        && now - new Date(previous.lastFailureAt).getTime() < FAILURE_WINDOW_MS;
+      const failures = (withinWindow ? previous.failures : 0) + 1;
+      const durationMs = lockDurationMs(type, failures);
+      const lockedUntil = durationMs ? new Date(now + durationMs).toISOString() : null;
+
+      tx.set(ref, {
+        type,
+        failures,
+        lockedUntil,
+        lastEndpoint: endpoint,
+        lastFailureAt: new Date(now).toISOString(),
+      });
+
+      return lockedUntil ? { failures, lockedUntil } : null;
+    });
+
+    if (lock) {
+      console.warn(`🔒 Locked ${type} after ${lock.failures} failed ${endpoint} attempts until ${lock.lockedUntil}`);
+      await db.collection(LOCKOUT_EVENTS_COLLECTION).add({
+        key: ref.id,
+        type,
+        identifier: maskIdentifier(type, identifier),
+        endpoint,
+        failures: lock.failures,
+        lockedUntil: lock.lockedUntil,
+        ip: maskIdentifier('ip', subject.ip),
+        unlockedAt: null,
+        unlockedBy: null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+  }
+};
+
+/**
+ * Clear the account's failure count after a successful sign-in
+ * The IP keeps its count: one valid password doesn't make a stuffing run benign
+ */
+const recordSuccess = async ({ email }) => {
+  const db = getFirestore();
+  if (!db || !email) return;
+  await db.collection(ATTEMPTS_COLLECTION).doc(attemptKey('account', email)).delete();
+};
+
+/**
+ * Remove a lock (admin action) and mark its open lockout events as resolved
+ * @param {string} type - 'account' or 'ip'
+ * @param {string} identifier - email or IP address
+ * @param {string} unlockedBy - uid of the admin
+ */
+const unlock = async (type, identifier, unlockedBy) => {
+  const db = getFirestore();
+  if (!db) return 0;
+
+  const key = attemptKey(type, identifier);
+  await db.collection(ATTEMPTS_COLLECTION).doc(key).delete();
+
+  const events = await db.collection(LOCKOUT_EVENTS_COLLECTION)
+    .where('key', '==', key)
+    .where('unlockedAt', '==', null)
+    .get();
+
+  if (!events.empty) {
+    const unlockedAt = new Date().toISOString();
+    const batch = db.batch();
+    events.docs.forEach((doc) => batch.update(doc.ref, { unlockedAt, unlockedBy }));
+    await batch.commit();
+  }
+
+  return events.size;
+};
+
+/**
+ * Delete an account's failure and email counts and its lockout events (account deletion)
+ * @param {string} email
+ */
+const deleteAccountAttempts = async (email) => {
+  const db = getFirestore();
+  if (!db || !email) return;
+
+  const key = attemptKey('account', email);
+  await db.collection(ATTEMPTS_COLLECTION).doc(key).delete();
+  await db.collection(ATTEMPTS_COLLECTION).doc(attemptKey('mail-account', email)).delete();
+
+  const events = await db.collection(LOCKOUT_EVENTS_COLLECTION).where('key', '==', key).get();
+  for (let i = 0; i < events.docs.length; i += 500) {
+    const batch = db.batch();
+    events.docs.slice(i, i + 500).forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+  }
+};
+
+/**
+ * Count a request against the allowance for `type` (see ALLOWANCES), refusing
+ * it once the identifier has used up the current window
+ * @returns {Promise<{ allowed: boolean, retryAfterSeconds: number }>}
+ */
+const takeAllowance = async (type, identifier) => {
+  const db = getFirestore();
+  if (!db || !identifier) return { allowed: true, retryAfterSeconds: 0 };
+
+  const { limit, windowMs } = ALLOWANCES[type];
+  const ref = db.collection(ATTEMPTS_COLLECTION).doc(attemptKey(type, identifier));
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const now = Date.now();
+    const previous = snap.exists ? snap.data() : null;
+
+    const withinWindow = previous?.windowStart
+      && now - new Date(previous.windowStart).getTime() < windowMs;
+    const windowStart = withinWindow ? new Date(previous.windowStart).getTime() : now;
+    const used = withinWindow ? previous.used || 0 : 0;
+
+    if (used >= limit) {
+      return { allowed: false, retryAfterSeconds: Math.ceil((windowStart + windowMs - now) / 1000) };
+    }
+
+    tx.set(ref, {
+      type,
+      used: used + 1,
+      windowStart: new Date(windowStart).toISOString(),
+    });
+    return { allowed: true, retryAfterSeconds: 0 };
+  });
+};
+
+const takeGuestToken = (ip) => takeAllowance('guest', ip);
+
+/**
+ * Middleware: reject guest token requests from an IP past its allowance,
+ * with a Retry-After header
+ */
+const guardGuestTokens = async (req, res, next) => {
+  try {
+    const { allowed, retryAfterSeconds } = await takeGuestToken(req.ip);
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too many guest sessions from this network. Please sign up or try again later',
+        retryAfterSeconds,
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Error counting guest tokens:', error);
+    next();
+  }
+};
+
+/**
+ * Middleware: reject verification and password reset email requests past the
+ * IP's or the address's allowance (the signed-in user's email, else
+ * req.body.email), with a Retry-After header
+ */
+const guardMailRequests = async (req, res, next) => {
+  try {
+    const email = req.user?.email || req.body?.email;
+    const results = [await takeAllowance('mail-ip', req.ip)];
+    if (email) results.push(await takeAllowance('mail-account', email));
+
+    const retryAfterSeconds = Math.max(...results.map((result) => result.retryAfterSeconds));
+    if (results.some((result) => !result.allowed)) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too many email requests. Please try again later',
+        retryAfterSeconds,
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Error counting email requests:', error);
+    next();
+  }
+};
+
+/**
+ * Middleware factory: reject requests while the IP (and the account named in
+ * req.body.email, when `account` is true) is locked, with a Retry-After header
+ */
+const guardAuthAttempts = ({ account = true } = {}) => async (req, res, next) => {
+  try {
+    const { locked, retryAfterSeconds, type } = await checkLock({
+      ip: req.ip,
+      email: account ? req.body?.email : undefined,
+    });
+
+    if (locked) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too many failed attempts. Please try again later',
+        lockedBy: type,
+        retryAfterSeconds,
+      });
+    }
+    next();
+  } catch (error) {
+    // Don't lock everyone out if the attempt store is unavailable
+    console.error('Error checking auth attempts:', error);
+    next();
+  }
+};
+
+module.exports = {
+  LOCKOUT_EVENTS_COLLECTION,
+  checkLock,
+  recordFailure,
+  recordSuccess,
+  unlock,
+  deleteAccountAttempts,
+  guardAuthAttempts,
+  takeGuestToken,
+  guardGuestTokens,
+  guardMailRequests,
+};
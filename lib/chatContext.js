@@ -0,0 +1,194 @@
+const { generateText, estimateTokens } = require('./llm');
+const { getChatSession, saveContextSummary, toPromptHistory } = require('./chatSessions');
+const { UNTRUSTED_CONTENT_RULES, delimit } = require('./promptSafety');
+
+const MESSAGE_OVERHEAD_TOKENS = 4; // "User: " / "AI: " prefix and newline
+// Until the background fold catches up, messages that fell out of the window
+// but aren't summarized yet get this share of the history budget, shortened
+const UNFOLDED_SHARE = 0.25;
+const UNFOLDED_MESSAGE_TOKENS = 60;
+
+/**
+ * Prompt budget for chat (CHAT_CONTEXT_TOKENS, default 6000). The user-context
+ * block (name, moods, wellness summary) always gets CHAT_USER_CONTEXT_TOKENS of it
+ * (default 800), and the last CHAT_CONTEXT_MIN_MESSAGES messages (default 2) are
+ * always kept verbatim.
+ */
+const contextBudget = () => ({
+  totalTokens: parseInt(process.env.CHAT_CONTEXT_TOKENS) || 6000,
+  userContextTokens: parseInt(process.env.CHAT_USER_CONTEXT_TOKENS) || 800,
+  minMessages: parseInt(process.env.CHAT_CONTEXT_MIN_MESSAGES) || 2,
+});
+
+const messageTokens = (message) => {
+  const content = message.content ?? message.text;
+  return typeof content === 'string' ? estimateTokens(content) + MESSAGE_OVERHEAD_TOKENS : 0;
+};
+
+const truncateToTokens = (text, maxTokens) => {
+  if (!text || estimateTokens(text) <= maxTokens) return text;
+  return maxTokens > 0 ? `${text.slice(0, maxTokens * 4 - 1).trim()}…` : '';
+};
+
+/**
+ * Shrink the user-context block to its reserved budget: the wellness summary
+ * gives way first, then mood history
+ */
+const fitUserContext = (userContext, maxTokens) => {
+  const fixed = estimateTokens(userContext.name);
+  const moodTokens = estimateTokens(userContext.recentMoods);
+  const summaryBudget = Math.max(maxTokens - fixed - moodTokens, 0);
+
+  return {
+    ...userContext,
+    wellnessSummary: truncateToTokens(userContext.wellnessSummary, summaryBudget),
+    recentMoods: truncateToTokens(userContext.recentMoods, Math.max(maxTokens - fixed, 0)),
+  };
+};
+
+/**
+ * Index of the first message to keep verbatim: walk back from the newest
+ * message while the budget allows, never past `from` (already summarized)
+ */
+const recentWindowStart = (messages, { from, budgetTokens, minMessages }) => {
+  let used = 0;
+  let kept = 0;
+  let start = messages.length;
+
+  for (let i = messages.length - 1; i >= from; i--) {
+    const tokens = messageTokens(messages[i]);
+    if (used + tokens > budgetTokens && kept >= minMessages) break;
+    used += tokens;
+    if (tokens > 0) kept += 1;
+    start = i;
+  }
+  return start;
+};
+
+/**
+ * Shortened messages[from, to) for the prompt, newest kept first when they
+ * don't all fit
+ */
+const digestUnfolded = (messages, { from, to, budgetTokens }) => {
+  const lines = [];
+  let used = 0;
+  let i = to - 1;
+
+  for (; i >= from; i--) {
+    const [message] = toPromptHistory([messages[i]]);
+    if (!message) continue;
+    const line = `${message.role === 'user' ? 'User' : 'Companion'}: ${truncateToTokens(message.content, UNFOLDED_MESSAGE_TOKENS)}`;
+    const tokens = estimateTokens(line) + MESSAGE_OVERHEAD_TOKENS;
+    if (used + tokens > budgetTokens) break;
+    used += tokens;
+    lines.unshift(line);
+  }
+
+  if (lines.length === 0) return '';
+  const omitted = i - from + 1;
+  return `${omitted > 0 ? `(${omitted} earlier messages not shown)\n` : ''}${lines.join('\n')}`;
+};
+
+/**
+ * Pick what goes into the chat prompt
+ * @param {Object} params
+ * @param {Object|null} params.session - getChatSession(..., { includeContext: true }) result
+ * @param {Object} params.userContext - { name, recentMoods, wellnessSummary }
+ * @param {number} params.baseTokens - size of the prompt without history or user context
+ *   (instructions, session summary and the new message)
+ * @returns {{ history: Object[], sessionSummary: string, userContext: Object, needsFold: boolean }}
+ *   needsFold: older messages no longer fit and should be folded into the session summary.
+ *   Until then they are added, shortened, to sessionSummary.
+ */
+const buildChatContext = ({ session, userContext, baseTokens }) => {
+  const { totalTokens, userContextTokens, minMessages } = contextBudget();
+  const messages = session?.messages || [];
+  const summarizedCount = Math.min(session?.summarizedCount || 0, messages.length);
+
+  const budgetTokens = Math.max(totalTokens - userContextTokens - baseTokens, 0);
+  let windowStart = recentWindowStart(messages, { from: summarizedCount, budgetTokens, minMessages });
+  let unfolded = '';
+
+  if (windowStart > summarizedCount) {
+    const unfoldedTokens = Math.floor(budgetTokens * UNFOLDED_SHARE);
+    windowStart = recentWindowStart(messages, {
+      from: summarizedCount,
+      budgetTokens: budgetTokens - unfoldedTokens,
+      minMessages,
+    });
+    unfolded = digestUnfolded(messages, { from: summarizedCount, to: windowStart, budgetTokens: unfoldedTokens });
+  }
+
+  const summary = session?.contextSummary || '';
+  return {
+    history: toPromptHistory(messages.slice(windowStart)),
+    sessionSummary: [summary, unfolded && `Not yet summarized (shortened):\n${unfolded}`].filter(Boolean).join('\n\n'),
+    userContext: fitUserContext(userContext, userContextTokens),
+    needsFold: windowStart > summarizedCount,
+  };
+};
+
+/**
+ * Fold older messages of a session into its rolling summary. Folds down to
+ * half the history budget so the next few turns fit without another fold.
+ * Meant to run in the background after a turn; never throws.
+ */
+const foldSessionContext = async (userId, sessionId) => {
+  try {
+    const session = await getChatSession(userId, sessionId, { includeContext: true });
+    const { totalTokens, userContextTokens, minMessages } = contextBudget();
+    const from = Math.min(session.summarizedCount, session.messages.length);
+
+    const keepFrom = recentWindowStart(session.messages, {
+      from,
+      budgetTokens: Math.floor((totalTokens - userContextTokens) / 2),
+      minMessages,
+    });
+    if (keepFrom <= from) return;
+
+    const excerpt = toPromptHistory(session.messages.slice(from, keepFrom))
+      .map((m) => delimit(m.role === 'user' ? 'user_message' : 'companion_message', m.content))
+      .join('\n');
+
+    const system = `
+You keep a running summary of an ongoing chat between a user and a wellness companion.
+It replaces the older part of the conversation in the companion's prompt.
+
+Update the summary:
+- Keep what the user shared (events, feelings, people, what helped) and anything the companion suggested or promised
+- Keep it in the order it happened
+- Under 200 words, plain prose
+
+${UNTRUSTED_CONTENT_RULES}
+
+Return ONLY the updated summary.
+`;
+
+    const prompt = `
+CURRENT SUMMARY:
+${session.contextSummary ? delimit('session_summary', session.contextSummary) : 'None'}
+
+OLDER MESSAGES TO ADD:
+<conversation>
+${excerpt}
+</conversation>
+`;
+
+    const { text: summary } = await generateText('sessionSummary', {
+      system,
+      prompt,
+      temperature: 0.3,
+      userId,
+    });
+    await saveContextSummary(userId, sessionId, { summary, summarizedCount: keepFrom });
+  } catch (err) {
+    console.error('Session context fold failed:', err.code || err.message);
+  }
+};
+
+module.exports = {
+  contextBudget,
+  fitUserContext,
+  buildChatContext,
+  foldSessionContext,
+};
@@ -0,0 +1,226 @@
+const {
+  chatError,
+  getChatSession,
+  listChatSessionsWithMessages,
+} = require('./chatSessions');
+
+const MAX_QUERY_LENGTH = 200;
+const MATCHES_PER_SESSION = 5;
+const SNIPPET_RADIUS = 60;
+
+/* ----------------------------------------------------------
+   MESSAGE SHAPES
+   Server-written: { role, content, timestamp[, crisis, riskLevel] }
+   Older client-saved: { sender, text, timestamp }, where text is an
+   object ({ encryptedData, ... }) when the client encrypted it
+---------------------------------------------------------- */
+const isEncryptedMessage = (message) => {
+  const body = message?.content ?? message?.text;
+  return message?.encrypted === true || (body !== null && typeof body === 'object');
+};
+
+const messageRole = (message) => message.role || (message.sender === 'user' ? 'user' : 'assistant');
+
+const toIso = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (typeof value._seconds === 'number') return new Date(value._seconds * 1000).toISOString();
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Messages without a usable timestamp fall back to the session's last activity
+const messageTime = (message, session) => toIso(message.timestamp) || session.updatedAt || session.createdAt;
+
+// Plaintext messages in the current shape; encrypted ones exactly as stored
+const exportMessage = (message, session) => {
+  if (isEncryptedMessage(message)) return message;
+  return {
+    role: messageRole(message),
+    content: message.content ?? message.text ?? '',
+    timestamp: messageTime(message, session),
+    ...(message.crisis !== undefined ? { crisis: message.crisis } : {}),
+    ...(message.riskLevel !== undefined ? { riskLevel: message.riskLevel } : {}),
+  };
+};
+
+/**
+ * Parse a startDate / endDate pair (YYYY-MM-DD or ISO timestamps). A date-only
+ * endDate covers that whole day.
+ * @returns {{ start: number|null, end: number|null }} - epoch ms bounds (inclusive)
+ */
+const parseDateRange = ({ startDate, endDate } = {}) => {
+  const parse = (value, name, endOfDay) => {
+    if (value === undefined || value === null || value === '') return null;
+    const dateOnly = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const time = dateOnly
+      ? Date.parse(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`)
+      : typeof value === 'string' ? Date.parse(value) : NaN;
+    if (Number.isNaN(time)) {
+      throw chatError('chat/invalid', `${name} must be a date (YYYY-MM-DD) or ISO timestamp`);
+    }
+    return time;
+  };
+
+  const start = parse(startDate, 'startDate', false);
+  const end = parse(endDate, 'endDate', true);
+  if (start !== null && end !== null && start > end) {
+    throw chatError('chat/invalid', 'startDate must be before endDate');
+  }
+  return { start, end };
+};
+
+const inRange = (iso, { start, end }) => {
+  const time = Date.parse(iso);
+  if (Number.isNaN(time)) return start === null && end === null;
+  return (start === null || time >= start) && (end === null || time <= end);
+};
+
+/* ----------------------------------------------------------
+   SEARCH
+---------------------------------------------------------- */
+const parseTerms = (query) => {
+  if (typeof query !== 'string' || query.trim().length < 2) {
+    throw chatError('chat/invalid', 'Search query must be at least 2 characters');
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw chatError('chat/invalid', `Search query must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+  return [...new Set(query.toLocaleLowerCase().split(/\s+/).filter(Boolean))];
+};
+
+const snippetAround = (text, index) => {
+  const start = Math.max(index - SNIPPET_RADIUS, 0);
+  const end = Math.min(index + SNIPPET_RADIUS, text.length);
+  const snippet = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Keyword search across the user's plaintext messages and session titles.
+ * Every term must appear in a message for it to match (case-insensitive).
+ * Encrypted messages can't be searched and are counted in encryptedSkipped.
+ * @param {string} userId
+ * @param {string} query
+ * @param {{ limit?: number }} [options] - max sessions returned
+ * @returns {Promise<{ query: string, total: number, results: Object[], encryptedSkipped: number }>}
+ *   results: [{ sessionId, title, updatedAt, matchCount, matches: [{ index, role, timestamp, snippet }] }]
+ */
+const searchChatHistory = async (userId, query, { limit = 20 } = {}) => {
+  const terms = parseTerms(query);
+  const matchesAll = (text) => {
+    const lower = text.toLocaleLowerCase();
+    return terms.every((term) => lower.includes(term));
+  };
+
+  let encryptedSkipped = 0;
+  const results = [];
+
+  (await listChatSessionsWithMessages(userId)).forEach((session) => {
+    const matches = [];
+    session.messages.forEach((message, index) => {
+      if (isEncryptedMessage(message)) {
+        encryptedSkipped += 1;
+        return;
+      }
+      const text = message.content ?? message.text;
+      if (typeof text !== 'string' || !matchesAll(text)) return;
+
+      matches.push({
+        index,
+        role: messageRole(message),
+        timestamp: messageTime(message, session),
+        snippet: snippetAround(text, text.toLocaleLowerCase().indexOf(terms[0])),
+      });
+    });
+
+    const titleMatch = typeof session.title === 'string' && matchesAll(session.title);
+    if (matches.length === 0 && !titleMatch) return;
+
+    results.push({
+      sessionId: session.sessionId,
+      title: session.title,
+      updatedAt: session.updatedAt,
+      matchCount: matches.length,
+      matches: matches.slice(0, MATCHES_PER_SESSION),
+    });
+  });
+
+  return { query, total: results.length, results: results.slice(0, limit), encryptedSkipped };
+};
+
+/* ----------------------------------------------------------
+   EXPORT
+---------------------------------------------------------- */
+/**
+ * One session, or every session with messages in a date range (all sessions
+ * when neither is given). With a range, only messages inside it are included.
+ * @param {string} userId
+ * @param {{ sessionId?: string, startDate?: string, endDate?: string }} [options]
+ * @returns {Promise<Object>} - { exportedAt, sessionId, startDate, endDate, sessions: [{ ..., messages }] }
+ */
+const exportChatHistory = async (userId, { sessionId, startDate, endDate } = {}) => {
+  const range = parseDateRange({ startDate, endDate });
+  const sessions = sessionId
+    ? [await getChatSession(userId, sessionId)]
+    : await listChatSessionsWithMessages(userId);
+
+  const exported = sessions
+    .map((session) => ({
+      sessionId: session.sessionId,
+      title: session.title,
+      encrypted: session.encrypted,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      messages: session.messages
+        .filter((message) => inRange(messageTime(message, session), range))
+        .map((message) => exportMessage(message, session)),
+    }))
+    .filter((session) => sessionId || session.messages.length > 0);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    sessionId: sessionId || null,
+    startDate: startDate || null,
+    endDate: endDate || null,
+    sessions: exported,
+  };
+};
+
+/**
+ * Render an exportChatHistory result as Markdown. Encrypted messages are
+ * included verbatim as JSON code blocks.
+ */
+const toMarkdown = (history) => {
+  const lines = ['# Chat history', '', `Exported ${history.exportedAt}`];
+  if (history.startDate || history.endDate) {
+    lines.push(`Range: ${history.startDate || 'beginning'} to ${history.endDate || 'now'}`);
+  }
+
+  history.sessions.forEach((session) => {
+    lines.push('', `## ${session.title || 'Untitled chat'}`, '');
+    lines.push(`_Started ${session.createdAt || 'unknown'} · last active ${session.updatedAt || 'unknown'}_`);
+
+    session.messages.forEach((message) => {
+      lines.push('');
+      if (isEncryptedMessage(message)) {
+        const who = messageRole(message) === 'user' ? 'You' : 'Companion';
+        lines.push(`**${who}** (encrypted)`, '', '```json', JSON.stringify(message, null, 2), '```');
+        return;
+      }
+      const who = message.role === 'user' ? 'You' : 'Companion';
+      lines.push(message.timestamp ? `**${who}** · ${message.timestamp}` : `**${who}**`, '');
+      lines.push(message.content);
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  isEncryptedMessage,
+  parseDateRange,
+  searchChatHistory,
+  exportChatHistory,
+  toMarkdown,
+};
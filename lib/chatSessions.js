@@ -0,0 +1,378 @@
+const { initializeFirebase, getFirestore } = require('./firebase');
+
+// The one store for chat history: a document per session, with its messages in
+// a messages subcollection (one document each, ordered by index) so long
+// sessions never reach Firestore's 1 MiB document limit. Older sessions keep
+// their first messages in a messages array on the session document.
+const CHAT_SESSIONS_COLLECTION = 'chatConversations';
+// Per-turn logs from before chat sessions; no longer written, deleted with the rest
+const LEGACY_CONVERSATIONS_COLLECTION = 'conversations';
+const MESSAGES_SUBCOLLECTION = 'messages';
+const MAX_TITLE_LENGTH = 80;
+const BATCH_LIMIT = 500; // Firestore writes per batch
+
+const chatError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const requireDb = () => {
+  const db = getFirestore();
+  if (!db) throw chatError('chat/unavailable', 'Chat store not available');
+  return db;
+};
+
+const toIso = (value) => (value?.toDate ? value.toDate().toISOString() : value || null);
+
+const cleanTitle = (title) => {
+  if (title === undefined || title === null) return null;
+  if (typeof title !== 'string' || !title.trim()) {
+    throw chatError('chat/invalid', 'Title must be a non-empty string');
+  }
+  return title.trim().slice(0, MAX_TITLE_LENGTH);
+};
+
+// First words of the opening message, used until the user renames the session
+const titleFromMessage = (message) => {
+  const text = typeof message === 'string' ? message.trim().replace(/\s+/g, ' ') : '';
+  if (!text) return 'New chat';
+  return text.length > 40 ? `${text.slice(0, 40).trim()}…` : text;
+};
+
+const messagesOf = (ref) => ref.collection(MESSAGES_SUBCOLLECTION);
+const messageId = (index) => String(index).padStart(8, '0');
+
+// Next message index: after the legacy array and everything appended since
+const nextMessageIndex = (data) => Math.max(data.messageCount || 0, (data.messages || []).length);
+
+// Legacy array messages first, then the subcollection in order
+const loadMessages = async (doc) => {
+  const snapshot = await messagesOf(doc.ref).orderBy('index').get();
+  return [
+    ...(doc.data().messages || []),
+    ...snapshot.docs.map((messageDoc) => {
+      const { index, ...message } = messageDoc.data();
+      return message;
+    }),
+  ];
+};
+
+// Delete session documents with their messages, in batches
+const deleteSessionDocs = async (db, docs) => {
+  const refs = [];
+  for (const doc of docs) {
+    const messages = await messagesOf(doc.ref).get();
+    refs.push(...messages.docs.map((messageDoc) => messageDoc.ref), doc.ref);
+  }
+  for (let i = 0; i < refs.length; i += BATCH_LIMIT) {
+    const batch = db.batch();
+    refs.slice(i, i + BATCH_LIMIT).forEach((ref) => batch.delete(ref));
+    await batch.commit();
+  }
+};
+
+const serializeSession = (doc, { messages, includeContext = false } = {}) => {
+  const data = doc.data();
+  return {
+    sessionId: doc.id,
+    title: data.title || null,
+    lastMessage: data.lastMessage || null,
+    messageCount: data.messageCount || 0,
+    encrypted: data.encrypted || false,
+    // Sessions the companion started (check-in nudges) are unread until opened or replied to
+    unread: data.unread || false,
+    nudge: data.nudge || null,
+    createdAt: toIso(data.createdAt),
+    updatedAt: toIso(data.updatedAt),
+    ...(messages ? { messages } : {}),
+    // Rolling summary of messages[0, summarizedCount) used to keep prompts small
+    ...(includeContext
+      ? { contextSummary: data.contextSummary || '', summarizedCount: data.summarizedCount || 0 }
+      : {}),
+  };
+};
+
+// Sessions are addressed by document id. Older documents were keyed by a
+// client-chosen sessionId field, so fall back to that.
+const findSessionDoc = async (db, userId, sessionId) => {
+  if (typeof sessionId !== 'string' || !sessionId || sessionId.includes('/')) {
+    throw chatError('chat/not-found', 'Chat session not found');
+  }
+
+  const collection = db.collection(CHAT_SESSIONS_COLLECTION);
+  const doc = await collection.doc(sessionId).get();
+  if (doc.exists && doc.data().userId === userId) return doc;
+
+  const legacy = await collection
+    .where('userId', '==', userId)
+    .where('sessionId', '==', sessionId)
+    .limit(1)
+    .get();
+  if (!legacy.empty) return legacy.docs[0];
+
+  throw chatError('chat/not-found', 'Chat session not found');
+};
+
+/**
+ * Start a new chat session
+ * @param {string} userId - account uid or guest id
+ * @param {{ title?: string }} [options]
+ * @returns {Promise<Object>} - session summary
+ */
+const createChatSession = async (userId, { title } = {}) => {
+  const admin = initializeFirebase();
+  const db = requireDb();
+
+  const ref = db.collection(CHAT_SESSIONS_COLLECTION).doc();
+  await ref.set({
+    userId,
+    sessionId: ref.id,
+    title: cleanTitle(title),
+    lastMessage: null,
+    messageCount: 0,
+    encrypted: false,
+    contextSummary: '',
+    summarizedCount: 0,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return serializeSession(await ref.get());
+};
+
+/**
+ * Start a session with a message from the companion (a proactive check-in).
+ * It shows as unread in the user's session list until opened or replied to.
+ * @param {string} userId
+ * @param {{ title: string, message: string, nudge: string }} options - nudge: the trigger behind it
+ * @returns {Promise<Object>} - session summary
+ */
+const createCompanionSession = async (userId, { title, message, nudge }) => {
+  const admin = initializeFirebase();
+  const db = requireDb();
+
+  const assistantMessage = {
+    role: 'assistant',
+    content: message,
+    timestamp: new Date().toISOString(),
+    nudge,
+  };
+
+  const ref = db.collection(CHAT_SESSIONS_COLLECTION).doc();
+  const batch = db.batch();
+  batch.set(messagesOf(ref).doc(messageId(0)), { index: 0, ...assistantMessage });
+  batch.set(ref, {
+    userId,
+    sessionId: ref.id,
+    title: cleanTitle(title),
+    lastMessage: assistantMessage,
+    messageCount: 1,
+    encrypted: false,
+    unread: true,
+    nudge,
+    contextSummary: '',
+    summarizedCount: 0,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await batch.commit();
+
+  return serializeSession(await ref.get());
+};
+
+// Sessions are ordered by updatedAt (newest first), then id. A cursor is the
+// position of the last session on the previous page.
+const compareSessions = (a, b) =>
+  (b.updatedAt || '').localeCompare(a.updatedAt || '') || b.sessionId.localeCompare(a.sessionId);
+
+const encodeCursor = (session) =>
+  Buffer.from(JSON.stringify([session.updatedAt || '', session.sessionId])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [updatedAt, sessionId] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof updatedAt === 'string' && typeof sessionId === 'string') return { updatedAt, sessionId };
+  } catch (err) {
+    // fall through
+  }
+  throw chatError('chat/invalid', 'Invalid cursor');
+};
+
+/**
+ * A page of the user's sessions, most recently active first (without messages)
+ * @param {{ limit?: number, cursor?: string }} [options] - cursor: nextCursor of the previous page
+ * @returns {Promise<{ sessions: Object[], nextCursor: string|null }>}
+ */
+const listChatSessions = async (userId, { limit = 50, cursor } = {}) => {
+  const db = requireDb();
+  const after = cursor ? decodeCursor(cursor) : null;
+
+  // Sorted here rather than with orderBy so no composite index is needed
+  const snapshot = await db.collection(CHAT_SESSIONS_COLLECTION)
+    .where('userId', '==', userId)
+    .select('title', 'lastMessage', 'messageCount', 'encrypted', 'unread', 'nudge', 'createdAt', 'updatedAt')
+    .get();
+
+  const sorted = snapshot.docs
+    .map((doc) => serializeSession(doc))
+    .sort(compareSessions)
+    .filter((session) => !after || compareSessions(after, session) < 0);
+
+  const sessions = sorted.slice(0, limit);
+  return {
+    sessions,
+    nextCursor: sorted.length > limit ? encodeCursor(sessions[sessions.length - 1]) : null,
+  };
+};
+
+/**
+ * All of a user's sessions with their messages, most recently active first.
+ * For search and export; messages are returned as stored (encrypted ones included).
+ */
+const listChatSessionsWithMessages = async (userId) => {
+  const db = requireDb();
+  const snapshot = await db.collection(CHAT_SESSIONS_COLLECTION).where('userId', '==', userId).get();
+  const sessions = await Promise.all(
+    snapshot.docs.map(async (doc) => serializeSession(doc, { messages: await loadMessages(doc) }))
+  );
+  return sessions.sort(compareSessions);
+};
+
+/**
+ * One session with its messages. Throws chat/not-found unless it belongs to the user
+ * @param {{ includeContext?: boolean }} [options] - also return contextSummary and summarizedCount
+ */
+const getChatSession = async (userId, sessionId, { includeContext = false } = {}) => {
+  const db = requireDb();
+  const doc = await findSessionDoc(db, userId, sessionId);
+  return serializeSession(doc, { messages: await loadMessages(doc), includeContext });
+};
+
+const renameChatSession = async (userId, sessionId, title) => {
+  const admin = initializeFirebase();
+  const db = requireDb();
+  const newTitle = cleanTitle(title);
+  if (!newTitle) throw chatError('chat/invalid', 'Title is required');
+
+  const doc = await findSessionDoc(db, userId, sessionId);
+  await doc.ref.update({
+    title: newTitle,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return serializeSession(await doc.ref.get());
+};
+
+const markChatSessionRead = async (userId, sessionId) => {
+  const db = requireDb();
+  const doc = await findSessionDoc(db, userId, sessionId);
+  if (doc.data().unread) await doc.ref.update({ unread: false });
+  return serializeSession(await doc.ref.get());
+};
+
+const deleteChatSession = async (userId, sessionId) => {
+  const db = requireDb();
+  const doc = await findSessionDoc(db, userId, sessionId);
+  await deleteSessionDocs(db, [doc]);
+};
+
+/**
+ * Delete all of a user's sessions and their messages, and any legacy conversation logs
+ * @returns {Promise<number>} - number of sessions and legacy logs deleted
+ */
+const deleteChatSessions = async (userId) => {
+  const db = requireDb();
+  const [snapshot, legacy] = await Promise.all([
+    db.collection(CHAT_SESSIONS_COLLECTION).where('userId', '==', userId).get(),
+    db.collection(LEGACY_CONVERSATIONS_COLLECTION).where('userId', '==', userId).get(),
+  ]);
+  await deleteSessionDocs(db, [...snapshot.docs, ...legacy.docs]);
+  return snapshot.size + legacy.size;
+};
+
+/**
+ * Append a completed turn (user message + assistant reply) to a session
+ * @param {string} userId
+ * @param {string} sessionId
+ * @param {{ message: string, reply: string, crisis?: boolean, riskLevel?: string, degraded?: boolean }} turn
+ *   degraded: the reply is a fallback sent because the model was unavailable
+ */
+const appendChatTurn = async (userId, sessionId, { message, reply, crisis = false, riskLevel = 'none', degraded = false }) => {
+  const admin = initializeFirebase();
+  const db = requireDb();
+  const doc = await findSessionDoc(db, userId, sessionId);
+
+  const timestamp = new Date().toISOString();
+  const userMessage = { role: 'user', content: message, timestamp };
+  const assistantMessage = {
+    role: 'assistant',
+    content: reply,
+    timestamp,
+    crisis,
+    riskLevel,
+    ...(degraded ? { degraded: true } : {}),
+  };
+
+  // In a transaction so concurrent turns get distinct, ordered indexes
+  await db.runTransaction(async (tx) => {
+    const current = await tx.get(doc.ref);
+    const data = current.data();
+    const index = nextMessageIndex(data);
+
+    tx.set(messagesOf(doc.ref).doc(messageId(index)), { index, ...userMessage });
+    tx.set(messagesOf(doc.ref).doc(messageId(index + 1)), { index: index + 1, ...assistantMessage });
+    tx.update(doc.ref, {
+      lastMessage: assistantMessage,
+      messageCount: index + 2,
+      unread: false,
+      ...(data.title ? {} : { title: titleFromMessage(message) }),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+};
+
+/**
+ * Replace the session's rolling context summary. Skipped if another request
+ * already summarized as far (or further) in the meantime.
+ * @returns {Promise<boolean>} - whether the summary was saved
+ */
+const saveContextSummary = async (userId, sessionId, { summary, summarizedCount }) => {
+  const db = requireDb();
+  const doc = await findSessionDoc(db, userId, sessionId);
+
+  return db.runTransaction(async (tx) => {
+    const current = await tx.get(doc.ref);
+    if ((current.data().summarizedCount || 0) >= summarizedCount) return false;
+    tx.update(doc.ref, { contextSummary: summary, summarizedCount });
+    return true;
+  });
+};
+
+/**
+ * Session messages as { role, content } for a prompt. Handles the older
+ * client-saved shape ({ sender, text }) and skips encrypted messages.
+ */
+const toPromptHistory = (messages = []) =>
+  messages
+    .map((m) => ({
+      role: m.role || (m.sender === 'user' ? 'user' : 'assistant'),
+      content: m.content ?? m.text,
+    }))
+    .filter((m) => typeof m.content === 'string' && m.content.trim());
+
+module.exports = {
+  CHAT_SESSIONS_COLLECTION,
+  chatError,
+  createChatSession,
+  createCompanionSession,
+  listChatSessions,
+  listChatSessionsWithMessages,
+  getChatSession,
+  renameChatSession,
+  markChatSessionRead,
+  deleteChatSession,
+  deleteChatSessions,
+  appendChatTurn,
+  saveContextSummary,
+  toPromptHistory,
+};
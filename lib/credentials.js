@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { initializeFirebase, getFirestore } = require('./firebase');
+
+const SIGN_IN_WITH_PASSWORD_URL = 'identitytoolkit.googleapis.com/v1/accounts:signInWithPassword';
+const LOCAL_CREDENTIALS_COLLECTION = 'localCredentials';
+
+// Build an error that carries a Firebase-style `auth/...` code
+const authError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Identity Toolkit error messages -> Firebase Admin style codes
+const REST_ERROR_CODES = {
+  EMAIL_NOT_FOUND: 'auth/user-not-found',
+  INVALID_PASSWORD: 'auth/wrong-password',
+  INVALID_LOGIN_CREDENTIALS: 'auth/invalid-credential',
+  INVALID_EMAIL: 'auth/invalid-email',
+  MISSING_PASSWORD: 'auth/missing-password',
+  USER_DISABLED: 'auth/user-disabled',
+  TOO_MANY_ATTEMPTS_TRY_LATER: 'auth/too-many-requests',
+};
+
+/**
+ * Verifier backed by the Firebase Auth REST API (signInWithPassword)
+ * Talks to the Auth emulator instead when FIREBASE_AUTH_EMULATOR_HOST is set
+ */
+const createFirebaseRestVerifier = ({ apiKey, emulatorHost } = {}) => {
+  const endpoint = emulatorHost
+    ? `http://${emulatorHost}/${SIGN_IN_WITH_PASSWORD_URL}`
+    : `https://${SIGN_IN_WITH_PASSWORD_URL}`;
+
+  return {
+    name: emulatorHost ? 'firebase-emulator' : 'firebase',
+
+    async verifyPassword(email, password) {
+      // The emulator accepts any key; production needs the project's Web API key
+      const key = apiKey || (emulatorHost ? 'emulator' : null);
+      if (!key) {
+        throw authError('auth/configuration-not-found', 'FIREBASE_WEB_API_KEY is not configured');
+      }
+
+      try {
+        const { data } = await axios.post(
+          endpoint,
+          { email, password, returnSecureToken: false },
+          { params: { key }, timeout: 10000 }
+        );
+        return { uid: data.localId, email: data.email };
+      } catch (error) {
+        const message = error.response?.data?.error?.message;
+        if (!message) throw error;
+
+        // Messages look like "TOO_MANY_ATTEMPTS_TRY_LATER : Access to this account..."
+        const reason = message.split(' ')[0];
+        throw authError(REST_ERROR_CODES[reason] || 'auth/internal-error', message);
+      }
+    },
+
+    // Firebase Auth stores the password itself
+    async recordPassword() {},
+
+    // ...and deletes it with the Auth user
+    async deleteCredentials() {},
+  };
+};
+
+const hashPassword = (password, salt = crypto.randomBytes(16).toString('hex')) => {
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+};
+
+const passwordMatches = (password, stored) => {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return false;
+  const candidate = Buffer.from(hashPassword(password, salt).split(':')[1], 'hex');
+  const expected = Buffer.from(hash, 'hex');
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+};
+
+/**
+ * Local stand-in for the Auth emulator: scrypt hashes kept in Firestore
+ * Only knows passwords recorded through recordPassword (signup, password change)
+ */
+const createLocalVerifier = () => ({
+  name: 'local',
+
+  async verifyPassword(email, password) {
+    const admin = initializeFirebase();
+    const db = getFirestore();
+    if (!admin || !db) {
+      throw authError('auth/configuration-not-found', 'Firebase is not initialized');
+    }
+
+    const userRecord = await admin.auth().getUserByEmail(email);
+    if (userRecord.disabled) {
+      throw authError('auth/user-disabled', 'User account is disabled');
+    }
+
+    const credentialDoc = await db.collection(LOCAL_CREDENTIALS_COLLECTION).doc(userRecord.uid).get();
+    if (!credentialDoc.exists || !passwordMatches(password, credentialDoc.data().passwordHash)) {
+      throw authError('auth/wrong-password', 'Incorrect password');
+    }
+
+    return { uid: userRecord.uid, email: userRecord.email };
+  },
+
+  async recordPassword(uid, password) {
+    const db = getFirestore();
+    if (!db) return;
+    await db.collection(LOCAL_CREDENTIALS_COLLECTION).doc(uid).set({
+      passwordHash: hashPassword(password),
+      updatedAt: new Date().toISOString(),
+    });
+  },
+
+  // Remove the stored hash (account deletion)
+  async deleteCredentials(uid) {
+    const db = getFirestore();
+    if (!db) return;
+    await db.collection(LOCAL_CREDENTIALS_COLLECTION).doc(uid).delete();
+  },
+});
+
+let verifier;
+
+/**
+ * Get the configured credential verifier
+ * CREDENTIAL_VERIFIER=firebase (default) uses the Auth REST API or emulator,
+ * CREDENTIAL_VERIFIER=local uses the Firestore-backed stand-in
+ * @returns {{ name: string, verifyPassword: Function, recordPassword: Function, deleteCredentials: Function }}
+ */
+const getCredentialVerifier = () => {
+  if (verifier) return verifier;
+
+  if (process.env.CREDENTIAL_VERIFIER === 'local') {
+    verifier = createLocalVerifier();
+  } else {
+    verifier = createFirebaseRestVerifier({
+      apiKey: process.env.FIREBASE_WEB_API_KEY,
+      emulatorHost: process.env.FIREBASE_AUTH_EMULATOR_HOST,
+    });
+  }
+
+  console.log(`🔑 Credential verifier: ${verifier.name}`);
+  return verifier;
+};
+
+// Swap the verifier (e.g. for tests or a custom identity provider)
+const setCredentialVerifier = (customVerifier) => {
+  verifier = customVerifier;
+};
+
+module.exports = {
+  getCredentialVerifier,
+  setCredentialVerifier,
+  createFirebaseRestVerifier,
+  createLocalVerifier,
+  hashPassword,
+  passwordMatches,
+};
@@ -0,0 +1,317 @@
+const { initializeFirebase, getFirestore } = require('./firebase');
+
+// A Deep Check-In: the phrases the user spoke, each with the emotion detected
+// for it, plus summary metrics. Linked to that day's moodEntries document.
+const CHECK_INS_COLLECTION = 'deepCheckIns';
+const MAX_ENTRIES = 50;
+const MAX_PHRASE_LENGTH = 500;
+
+// Emotion labels and their valence. Keys are what we store; aliases map the
+// labels different detectors send (face-api, speech models) onto them.
+const EMOTIONS = {
+  happy: 'positive',
+  calm: 'positive',
+  content: 'positive',
+  excited: 'positive',
+  hopeful: 'positive',
+  neutral: 'neutral',
+  surprised: 'neutral',
+  sad: 'negative',
+  angry: 'negative',
+  fearful: 'negative',
+  anxious: 'negative',
+  stressed: 'negative',
+  disgusted: 'negative',
+  frustrated: 'negative',
+  lonely: 'negative',
+};
+
+const EMOTION_ALIASES = {
+  joy: 'happy',
+  happiness: 'happy',
+  relaxed: 'calm',
+  surprise: 'surprised',
+  sadness: 'sad',
+  anger: 'angry',
+  fear: 'fearful',
+  scared: 'fearful',
+  anxiety: 'anxious',
+  disgust: 'disgusted',
+};
+
+const checkInError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const requireDb = () => {
+  const db = getFirestore();
+  if (!db) throw checkInError('checkin/unavailable', 'Check-in store not available');
+  return db;
+};
+
+const toIso = (value) => (value?.toDate ? value.toDate().toISOString() : value || null);
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const normalizeEmotion = (label) => {
+  if (typeof label !== 'string') return null;
+  const key = label.trim().toLowerCase();
+  const emotion = EMOTION_ALIASES[key] || key;
+  return EMOTIONS[emotion] ? emotion : null;
+};
+
+/**
+ * Validate a check-in's utterances (the chat's multiModalData shape)
+ * @param {Array<{ phrase?: string, text?: string, emotion: string, confidence?: number }>} entries
+ * @returns {Array<{ phrase: string, emotion: string, confidence: number|null }>}
+ */
+const validateEntries = (entries) => {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw checkInError('checkin/invalid', 'entries must be a non-empty array');
+  }
+  if (entries.length > MAX_ENTRIES) {
+    throw checkInError('checkin/invalid', `A check-in can have at most ${MAX_ENTRIES} entries`);
+  }
+
+  return entries.map((entry, index) => {
+    const rawPhrase = entry?.phrase ?? entry?.text;
+    const phrase = typeof rawPhrase === 'string' ? rawPhrase.trim() : '';
+    if (!phrase || phrase.length > MAX_PHRASE_LENGTH) {
+      throw checkInError('checkin/invalid', `entries[${index}].phrase must be 1-${MAX_PHRASE_LENGTH} characters`);
+    }
+
+    const emotion = normalizeEmotion(entry?.emotion);
+    if (!emotion) {
+      throw checkInError(
+        'checkin/invalid',
+        `entries[${index}].emotion must be one of: ${Object.keys(EMOTIONS).join(', ')}`
+      );
+    }
+
+    const confidence = entry?.confidence;
+    if (confidence !== undefined && confidence !== null && !(typeof confidence === 'number' && confidence >= 0 && confidence <= 1)) {
+      throw checkInError('checkin/invalid', `entries[${index}].confidence must be between 0 and 1`);
+    }
+
+    return { phrase, emotion, confidence: confidence ?? null };
+  });
+};
+
+/**
+ * Metrics for a sequence of emotions
+ * @param {string[]} emotions - normalized labels, in the order spoken
+ * @returns {{ dominantEmotion: string, emotionCounts: Object<string, number>, variability: number,
+ *   valence: { positive: number, negative: number, neutral: number, ratio: number|null } }}
+ *   variability: share of consecutive utterances where the emotion changes (0 = steady, 1 = changes every time)
+ *   valence.ratio: positive / negative utterances (null when there are no negative ones)
+ */
+const computeMetrics = (emotions) => {
+  const emotionCounts = {};
+  emotions.forEach((emotion) => {
+    emotionCounts[emotion] = (emotionCounts[emotion] || 0) + 1;
+  });
+
+  // Most frequent; ties go to the one that appeared first
+  const dominantEmotion = emotions.reduce(
+    (best, emotion) => (emotionCounts[emotion] > emotionCounts[best] ? emotion : best),
+    emotions[0]
+  );
+
+  const changes = emotions.slice(1).filter((emotion, i) => emotion !== emotions[i]).length;
+  const variability = emotions.length > 1 ? round2(changes / (emotions.length - 1)) : 0;
+
+  const valence = { positive: 0, negative: 0, neutral: 0 };
+  emotions.forEach((emotion) => {
+    valence[EMOTIONS[emotion]] += 1;
+  });
+
+  return {
+    dominantEmotion,
+    emotionCounts,
+    variability,
+    valence: { ...valence, ratio: valence.negative ? round2(valence.positive / valence.negative) : null },
+  };
+};
+
+const serializeCheckIn = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    date: data.date,
+    timestamp: data.timestamp,
+    entries: data.entries,
+    dominantEmotion: data.dominantEmotion,
+    emotionCounts: data.emotionCounts,
+    variability: data.variability,
+    valence: data.valence,
+    moodEntryId: data.moodEntryId || null,
+    sessionId: data.sessionId || null,
+    createdAt: toIso(data.createdAt),
+  };
+};
+
+const findOwnCheckIn = async (db, userId, checkInId) => {
+  if (typeof checkInId !== 'string' || !checkInId || checkInId.includes('/')) {
+    throw checkInError('checkin/not-found', 'Check-in not found');
+  }
+  const doc = await db.collection(CHECK_INS_COLLECTION).doc(checkInId).get();
+  if (!doc.exists || doc.data().userId !== userId) {
+    throw checkInError('checkin/not-found', 'Check-in not found');
+  }
+  return doc;
+};
+
+/**
+ * Validate and store a check-in, linking it to today's mood entry if there is one
+ * (otherwise the mood entry picks it up when it is logged, see linkCheckInsToMoodEntry)
+ * @param {string} userId
+ * @param {{ entries: Array, sessionId?: string }} checkIn - sessionId: chat session it was sent with
+ * @returns {Promise<Object>} - the stored check-in
+ */
+const createCheckIn = async (userId, { entries, sessionId }) => {
+  const admin = initializeFirebase();
+  const db = requireDb();
+  const validEntries = validateEntries(entries);
+
+  const timestamp = new Date().toISOString();
+  const date = timestamp.split('T')[0];
+
+  const moodQuery = await db.collection('moodEntries')
+    .where('userId', '==', userId)
+    .where('date', '==', date)
+    .limit(1)
+    .get();
+  const moodEntry = moodQuery.empty ? null : moodQuery.docs[0];
+
+  const ref = db.collection(CHECK_INS_COLLECTION).doc();
+  await ref.set({
+    userId,
+    date,
+    timestamp,
+    entries: validEntries,
+    ...computeMetrics(validEntries.map((e) => e.emotion)),
+    moodEntryId: moodEntry ? moodEntry.id : null,
+    sessionId: typeof sessionId === 'string' ? sessionId : null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  if (moodEntry) {
+    await moodEntry.ref.update({ deepCheckInIds: admin.firestore.FieldValue.arrayUnion(ref.id) });
+  }
+
+  return serializeCheckIn(await ref.get());
+};
+
+/**
+ * Link check-ins from a day to a mood entry logged after them
+ * @returns {Promise<string[]>} - ids of the check-ins linked
+ */
+const linkCheckInsToMoodEntry = async (userId, date, moodEntryId) => {
+  const db = requireDb();
+  const snapshot = await db.collection(CHECK_INS_COLLECTION)
+    .where('userId', '==', userId)
+    .where('date', '==', date)
+    .get();
+
+  const unlinked = snapshot.docs.filter((doc) => !doc.data().moodEntryId);
+  await Promise.all(unlinked.map((doc) => doc.ref.update({ moodEntryId })));
+  return unlinked.map((doc) => doc.id);
+};
+
+/**
+ * The user's check-ins, newest first
+ * @param {{ limit?: number, startDate?: string, endDate?: string }} [options] - dates as YYYY-MM-DD
+ */
+const listCheckIns = async (userId, { limit = 30, startDate, endDate } = {}) => {
+  const db = requireDb();
+  const snapshot = await db.collection(CHECK_INS_COLLECTION).where('userId', '==', userId).get();
+
+  // Filtered and sorted here so no composite index is needed
+  return snapshot.docs
+    .map(serializeCheckIn)
+    .filter((c) => (!startDate || c.date >= startDate) && (!endDate || c.date <= endDate))
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+    .slice(0, limit);
+};
+
+const getCheckIn = async (userId, checkInId) => {
+  const db = requireDb();
+  return serializeCheckIn(await findOwnCheckIn(db, userId, checkInId));
+};
+
+const deleteCheckIn = async (userId, checkInId) => {
+  const admin = initializeFirebase();
+  const db = requireDb();
+  const doc = await findOwnCheckIn(db, userId, checkInId);
+  const { moodEntryId } = doc.data();
+
+  await doc.ref.delete();
+  if (moodEntryId) {
+    await db.collection('moodEntries').doc(moodEntryId).update({
+      deepCheckInIds: admin.firestore.FieldValue.arrayRemove(doc.id),
+    }).catch(() => {}); // the mood entry may have been deleted
+  }
+};
+
+// Monday (UTC) of the week a YYYY-MM-DD date falls in
+const weekStart = (date) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().split('T')[0];
+};
+
+/**
+ * Weekly check-in trends for the last `weeks` weeks (including this one),
+ * oldest first. Weeks without check-ins are included with count 0.
+ * @returns {Promise<Object[]>} - [{ weekStart, count, dominantEmotion, averageVariability, valence }]
+ */
+const getCheckInTrends = async (userId, { weeks = 8 } = {}) => {
+  const firstWeek = new Date(`${weekStart(new Date().toISOString().split('T')[0])}T00:00:00Z`);
+  firstWeek.setUTCDate(firstWeek.getUTCDate() - 7 * (weeks - 1));
+  const startDate = firstWeek.toISOString().split('T')[0];
+
+  const checkIns = await listCheckIns(userId, { limit: Infinity, startDate });
+
+  const buckets = new Map();
+  for (let i = 0; i < weeks; i++) {
+    const week = new Date(firstWeek);
+    week.setUTCDate(week.getUTCDate() + 7 * i);
+    buckets.set(week.toISOString().split('T')[0], []);
+  }
+  checkIns.forEach((checkIn) => buckets.get(weekStart(checkIn.date))?.push(checkIn));
+
+  return [...buckets.entries()].map(([week, items]) => {
+    if (items.length === 0) {
+      return { weekStart: week, count: 0, dominantEmotion: null, averageVariability: null, valence: null };
+    }
+
+    // Oldest first, so the week's emotions are in the order they were felt
+    const emotions = items
+      .slice()
+      .reverse()
+      .flatMap((checkIn) => checkIn.entries.map((entry) => entry.emotion));
+    const { dominantEmotion, valence } = computeMetrics(emotions);
+
+    return {
+      weekStart: week,
+      count: items.length,
+      dominantEmotion,
+      averageVariability: round2(items.reduce((sum, c) => sum + c.variability, 0) / items.length),
+      valence,
+    };
+  });
+};
+
+module.exports = {
+  CHECK_INS_COLLECTION,
+  EMOTIONS,
+  validateEntries,
+  computeMetrics,
+  createCheckIn,
+  linkCheckInsToMoodEntry,
+  listCheckIns,
+  getCheckIn,
+  deleteCheckIn,
+  getCheckInTrends,
+};
@@ -35,34 +35,32 @@ function getFirestore() {
   return admin.firestore();
 }
 
-// Log conversation to Firestore (handles encrypted messages)
-const logConversation = async (userId, inputMessage, outputResponse, crisis = false) => {
-  try {
-    const db = getFirestore();
-    if (!db) {
-      console.warn('Firestore not available. Skipping conversation log.');
-      return;
-    }
+// Move a guest's conversations to the account they just created
+const migrateGuestConversations = async (guestId, userId) => {
+  const db = getFirestore();
+  if (!db) {
+    console.warn('Firestore not available. Skipping guest conversation migration.');
+    return 0;
+  }
+
+  let migrated = 0;
+  // chatConversations holds chat sessions; conversations has older per-turn logs
+  for (const collection of ['conversations', 'chatConversations']) {
+    const snapshot = await db.collection(collection).where('userId', '==', guestId).get();
 
-    const timestamp = new Date().toISOString();
-    
-    // Check if messages are encrypted (they will be objects with encryptedData property)
-    const isInputEncrypted = typeof inputMessage === 'object' && inputMessage.encryptedData;
-    const isOutputEncrypted = typeof outputResponse === 'object' && outputResponse.encryptedData;
-    
-    await db.collection('conversations').add({
-      userId,
-      inputMessage: isInputEncrypted ? inputMessage : { text: inputMessage, encrypted: false },
-      outputResponse: isOutputEncrypted ? outputResponse : { text: outputResponse, encrypted: false },
-      crisis,
-      timestamp,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-    });
-    
-    console.log('Conversation logged successfully (encrypted:', isInputEncrypted || isOutputEncrypted, ')');
-  } catch (error) {
-    console.error('Error logging conversation:', error);
+    // Firestore batches are limited to 500 writes
+    for (let i = 0; i < snapshot.docs.length; i += 500) {
+      const batch = db.batch();
+      snapshot.docs.slice(i, i + 500).forEach((doc) => {
+        batch.update(doc.ref, { userId, migratedFromGuest: guestId });
+      });
+      await batch.commit();
+    }
+    migrated += snapshot.size;
   }
+
+  console.log(`Migrated ${migrated} guest conversation records to ${userId}`);
+  return migrated;
 };
 
-module.exports = { initializeFirebase, getFirestore, logConversation };
+module.exports = { initializeFirebase, getFirestore, migrateGuestConversations };
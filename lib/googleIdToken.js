@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const GOOGLE_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const DEFAULT_CACHE_MS = 60 * 60 * 1000;
+// Keys are refetched at most this often, so forged tokens (unknown kids) can't
+// make us call Google once per request
+const MIN_REFETCH_MS = 60 * 1000;
+
+// kid -> public KeyObject, refreshed according to Google's Cache-Control
+let keyCache = { keys: new Map(), expiresAt: 0 };
+let lastFetchAt = 0;
+let inflightFetch = null;
+let testKeysInjected = false;
+
+const googleError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const keysFromJwks = (jwks) => {
+  const keys = new Map();
+  (jwks.keys || []).forEach((jwk) => {
+    if (jwk.kid) keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+  });
+  return keys;
+};
+
+const maxAgeMs = (cacheControl) => {
+  const match = /max-age=(\d+)/.exec(cacheControl || '');
+  return match ? parseInt(match[1]) * 1000 : DEFAULT_CACHE_MS;
+};
+
+// One request at a time; concurrent callers share it
+const fetchKeys = () => {
+  inflightFetch = inflightFetch || (async () => {
+    lastFetchAt = Date.now();
+    try {
+      const { data, headers } = await axios.get(GOOGLE_JWKS_URL, { timeout: 5000 });
+      keyCache = { keys: keysFromJwks(data), expiresAt: Date.now() + maxAgeMs(headers['cache-control']) };
+    } finally {
+      inflightFetch = null;
+    }
+  })();
+  return inflightFetch;
+};
+
+// Key for a kid, refetching when the cache is stale or the kid is new (Google
+// rotates keys), but no more than once per MIN_REFETCH_MS
+const getKey = async (kid) => {
+  // GOOGLE_TEST_JWKS_FILE points at a local JWKS for offline development; anyone
+  // holding those keys could mint Google identities, so never in production
+  if (!testKeysInjected && process.env.GOOGLE_TEST_JWKS_FILE) {
+    if (process.env.NODE_ENV === 'production') {
+      throw googleError('google/not-configured', 'GOOGLE_TEST_JWKS_FILE must not be set in production');
+    }
+    setTestKeys(JSON.parse(fs.readFileSync(process.env.GOOGLE_TEST_JWKS_FILE, 'utf8')));
+  }
+  if (testKeysInjected) return keyCache.keys.get(kid);
+
+  const now = Date.now();
+  const needsFetch = now >= keyCache.expiresAt || !keyCache.keys.has(kid);
+  if (needsFetch && now - lastFetchAt >= MIN_REFETCH_MS) await fetchKeys();
+  return keyCache.keys.get(kid);
+};
+
+/**
+ * Replace Google's keys with a local JWKS (offline tests, emulators)
+ * Pass null to go back to fetching Google's keys
+ * @param {Object|null} jwks - { keys: [jwk, ...] }
+ */
+const setTestKeys = (jwks) => {
+  testKeysInjected = !!jwks;
+  lastFetchAt = 0;
+  keyCache = jwks
+    ? { keys: keysFromJwks(jwks), expiresAt: Infinity }
+    : { keys: new Map(), expiresAt: 0 };
+};
+
+const allowedAudiences = () =>
+  (process.env.GOOGLE_CLIENT_IDS || process.env.GOOGLE_CLIENT_ID || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+/**
+ * Verify a Google ID token (from Google Identity Services on the client)
+ * Throws google/not-configured, google/invalid-token, google/expired or
+ * google/unverified-email
+ * @param {string} idToken
+ * @returns {Promise<{ sub: string, email: string, name: string|null, picture: string|null }>}
+ */
+const verifyGoogleIdToken = async (idToken) => {
+  const audience = allowedAudiences();
+  if (audience.length === 0) {
+    throw googleError('google/not-configured', 'GOOGLE_CLIENT_ID is not configured');
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header?.kid) {
+    throw googleError('google/invalid-token', 'Malformed ID token');
+  }
+
+  const key = await getKey(decoded.header.kid);
+  if (!key) {
+    throw googleError('google/invalid-token', 'ID token signed with an unknown key');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, { algorithms: ['RS256'], audience, issuer: GOOGLE_ISSUERS });
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      throw googleError('google/expired', 'ID token expired');
+    }
+    throw googleError('google/invalid-token', `ID token rejected: ${err.message}`);
+  }
+
+  if (!claims.email || claims.email_verified !== true) {
+    throw googleError('google/unverified-email', 'Google account email is not verified');
+  }
+
+  return {
+    sub: claims.sub,
+    email: claims.email,
+    name: claims.name || null,
+    picture: claims.picture || null,
+  };
+};
+
+module.exports = { verifyGoogleIdToken, setTestKeys };
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const { getFirestore } = require('./firebase');
+
+// Maintained registry: config/helplines.json
+const registry = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '../config/helplines.json'), 'utf8')
+);
+
+const FALLBACK_ENTRY = 'INTL';
+
+const defaultCountry = () => (process.env.HELPLINE_DEFAULT_COUNTRY || 'IN').toUpperCase();
+
+/**
+ * Normalize an ISO 3166-1 alpha-2 code ("gb" -> "GB"); null if it isn't one
+ */
+const parseCountryCode = (value) => {
+  if (typeof value !== 'string') return null;
+  const code = value.trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(code) ? code : null;
+};
+
+/**
+ * Country from the region subtags of an Accept-Language header, highest
+ * quality first ("en-GB,en;q=0.8" -> "GB"). Language-only tags are skipped
+ * because most languages span many countries.
+ */
+const countryFromAcceptLanguage = (header) => {
+  if (!header) return null;
+
+  const tags = header
+    .split(',')
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.find((p) => p.trim().startsWith('q='));
+      return { tag, quality: q ? parseFloat(q.trim().slice(2)) || 0 : 1 };
+    })
+    .sort((a, b) => b.quality - a.quality);
+
+  for (const { tag } of tags) {
+    // "zh-Hant-TW": the region is the first 2-letter subtag after the language
+    const region = tag.split('-').slice(1).find((subtag) => /^[a-z]{2}$/i.test(subtag));
+    if (region) return region.toUpperCase();
+  }
+  return null;
+};
+
+/**
+ * Pick the country to show helplines for:
+ * profile preference, then Accept-Language, then HELPLINE_DEFAULT_COUNTRY
+ * @returns {{ countryCode: string, source: 'profile'|'accept-language'|'default' }}
+ */
+const resolveCountry = ({ preference, acceptLanguage } = {}) => {
+  const preferred = parseCountryCode(preference);
+  if (preferred) return { countryCode: preferred, source: 'profile' };
+
+  const fromHeader = countryFromAcceptLanguage(acceptLanguage);
+  if (fromHeader) return { countryCode: fromHeader, source: 'accept-language' };
+
+  return { countryCode: defaultCountry(), source: 'default' };
+};
+
+/**
+ * Helplines for a country, or the international directory when the registry
+ * has no entry for it
+ * @param {string} countryCode
+ * @returns {{ countryCode: string, country: string, emergency: string|null, helplines: Object[], fallback: boolean }}
+ */
+const getHelplines = (countryCode) => {
+  const entry = registry.countries[countryCode];
+  const resolved = entry || registry.countries[FALLBACK_ENTRY];
+
+  return {
+    countryCode,
+    country: resolved.country,
+    emergency: resolved.emergency,
+    helplines: resolved.helplines,
+    fallback: !entry,
+  };
+};
+
+// Country the user chose in their profile (users.preferences.country)
+const getProfileCountry = async (uid) => {
+  const db = getFirestore();
+  if (!db) return null;
+
+  const userDoc = await db.collection('users').doc(uid).get();
+  return userDoc.exists ? userDoc.data().preferences?.country || null : null;
+};
+
+/**
+ * Helplines for the user making a request (guests have no profile)
+ * @param {Object} req - needs req.user (verifyToken / verifyTokenOrGuest)
+ * @returns {Promise<Object>} - getHelplines() result plus `source`
+ */
+const helplinesForRequest = async (req) => {
+  let preference = null;
+  if (req.user && !req.user.guest) {
+    try {
+      preference = await getProfileCountry(req.user.uid);
+    } catch (err) {
+      console.error('Error reading helpline country preference:', err);
+    }
+  }
+
+  const { countryCode, source } = resolveCountry({
+    preference,
+    acceptLanguage: req.headers['accept-language'],
+  });
+  return { ...getHelplines(countryCode), source };
+};
+
+/**
+ * Every country in the registry: [{ countryCode, country }]
+ */
+const listCountries = () =>
+  Object.entries(registry.countries)
+    .filter(([code]) => code !== FALLBACK_ENTRY)
+    .map(([countryCode, entry]) => ({ countryCode, country: entry.country }));
+
+module.exports = {
+  parseCountryCode,
+  resolveCountry,
+  getHelplines,
+  helplinesForRequest,
+  listCountries,
+};
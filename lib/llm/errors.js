@@ -0,0 +1,8 @@
+const llmError = (code, message, cause) => {
+  const error = new Error(message);
+  error.code = code;
+  if (cause) error.cause = cause;
+  return error;
+};
+
+module.exports = { llmError };
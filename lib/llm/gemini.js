@@ -0,0 +1,81 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { llmError } = require('./errors');
+
+const isAbort = (err, signal) => signal?.aborted || err?.name === 'AbortError';
+
+const toUsage = (usageMetadata) => ({
+  inputTokens: usageMetadata?.promptTokenCount || 0,
+  outputTokens: usageMetadata?.candidatesTokenCount || 0,
+});
+
+/**
+ * Google Gemini provider (GEMINI_API_KEY)
+ */
+const createGeminiProvider = ({ apiKey = process.env.GEMINI_API_KEY } = {}) => {
+  const genAI = apiKey ? new GoogleGenerativeAI(apiKey) : null;
+
+  const buildRequest = ({ model, system, prompt, temperature, topK, topP, maxOutputTokens, json }) => ({
+    model: genAI.getGenerativeModel({
+      model,
+      ...(system ? { systemInstruction: system } : {}),
+    }),
+    request: {
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: {
+        temperature,
+        topK,
+        topP,
+        maxOutputTokens,
+        ...(json ? { responseMimeType: 'application/json' } : {}),
+      },
+    },
+  });
+
+  const requireClient = () => {
+    if (!genAI) throw llmError('llm/not-configured', 'GEMINI_API_KEY is not configured');
+  };
+
+  return {
+    name: 'gemini',
+    isConfigured: () => !!genAI,
+
+    generate: async (options) => {
+      requireClient();
+      const { model, request } = buildRequest(options);
+      try {
+        const result = await model.generateContent(request, { signal: options.signal });
+        return {
+          text: result.response.text(),
+          usage: toUsage(result.response.usageMetadata),
+        };
+      } catch (err) {
+        if (isAbort(err, options.signal)) throw llmError('llm/aborted', 'Generation aborted', err);
+        throw llmError('llm/request-failed', `Gemini request failed: ${err.message}`, err);
+      }
+    },
+
+    stream: async (options, onChunk) => {
+      requireClient();
+      const { model, request } = buildRequest(options);
+      try {
+        const result = await model.generateContentStream(request, { signal: options.signal });
+
+        let text = '';
+        for await (const chunk of result.stream) {
+          const piece = chunk.text();
+          if (!piece) continue;
+          text += piece;
+          onChunk(piece);
+        }
+
+        const response = await result.response;
+        return { text, usage: toUsage(response.usageMetadata) };
+      } catch (err) {
+        if (isAbort(err, options.signal)) throw llmError('llm/aborted', 'Generation aborted', err);
+        throw llmError('llm/request-failed', `Gemini stream failed: ${err.message}`, err);
+      }
+    },
+  };
+};
+
+module.exports = { createGeminiProvider };
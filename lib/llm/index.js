@@ -0,0 +1,182 @@
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { createMockProvider } = require('./mock');
+const { llmError } = require('./errors');
+const { estimateTokens } = require('./tokens');
+const { runResilient, getCircuitStates } = require('./resilience');
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  mock: createMockProvider,
+};
+
+const defaultOpenAIModel = () => process.env.OPENAI_MODEL || 'llama3.1';
+
+/**
+ * Features that call a model. Each can pick its own provider and model:
+ *   LLM_<ENV>_PROVIDER (falls back to LLM_PROVIDER, then gemini)
+ *   LLM_<ENV>_MODEL    (falls back to the provider default below)
+ */
+const FEATURES = {
+  chat: { env: 'CHAT', defaults: { gemini: 'gemini-2.5-flash' } },
+  summary: { env: 'SUMMARY', defaults: { gemini: 'gemini-2.0-flash' } },
+  journalPrompts: { env: 'JOURNAL', defaults: { gemini: 'gemini-2.0-flash' } },
+  moderation: { env: 'MODERATION', defaults: { gemini: 'gemini-2.0-flash' } },
+  crisisReview: { env: 'CRISIS', defaults: { gemini: 'gemini-2.0-flash' } },
+  sessionSummary: { env: 'SESSION_SUMMARY', defaults: { gemini: 'gemini-2.0-flash' } },
+  activityRecommendations: { env: 'ACTIVITIES', defaults: { gemini: 'gemini-2.0-flash' } },
+  replySafety: { env: 'REPLY_SAFETY', defaults: { gemini: 'gemini-2.0-flash' } },
+  nudges: { env: 'NUDGES', defaults: { gemini: 'gemini-2.0-flash' } },
+};
+
+const providers = {};
+
+const getProvider = (name) => {
+  if (!providers[name]) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) throw llmError('llm/unknown-provider', `Unknown LLM provider "${name}"`);
+    providers[name] = factory();
+  }
+  return providers[name];
+};
+
+/**
+ * Replace a provider instance, e.g. a mock with custom replies in tests.
+ * Pass null to go back to the default for that name.
+ */
+const setProvider = (name, provider) => {
+  if (provider) providers[name] = provider;
+  else delete providers[name];
+};
+
+const usageListeners = [];
+
+/**
+ * Call listener({ userId, feature, provider, model, usage, estimated? }) after every
+ * successful model call, and for streams stopped after sending text (usage
+ * estimated from the text, estimated: true). userId is whatever the caller passed.
+ */
+const onUsage = (listener) => {
+  usageListeners.push(listener);
+};
+
+const notifyUsage = (event) => {
+  usageListeners.forEach((listener) => {
+    try {
+      listener(event);
+    } catch (err) {
+      console.error('LLM usage listener failed:', err);
+    }
+  });
+};
+
+/**
+ * Provider and model a feature is configured to use
+ * @param {string} feature - one of FEATURES
+ * @returns {{ provider: string, model: string }}
+ */
+const getModelConfig = (feature) => {
+  const config = FEATURES[feature];
+  if (!config) throw llmError('llm/unknown-feature', `Unknown LLM feature "${feature}"`);
+
+  const provider = process.env[`LLM_${config.env}_PROVIDER`] || process.env.LLM_PROVIDER || 'gemini';
+  const fallbackModel = provider === 'openai'
+    ? defaultOpenAIModel()
+    : config.defaults[provider] || provider;
+
+  return { provider, model: process.env[`LLM_${config.env}_MODEL`] || fallbackModel };
+};
+
+// True if the feature's provider has what it needs (e.g. an API key)
+const isLLMConfigured = (feature) => {
+  try {
+    return getProvider(getModelConfig(feature).provider).isConfigured();
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Generate a completion for a feature, with a timeout per attempt, retries for
+ * transient failures and the provider's circuit breaker (lib/llm/resilience)
+ * Throws llm/not-configured, llm/request-failed, llm/bad-response, llm/timeout, llm/unavailable or llm/aborted
+ * @param {string} feature
+ * @param {Object} options - { prompt, system?, temperature?, topK?, topP?, maxOutputTokens?, json?, signal?, userId?, usageFeature? }
+ *   userId: who the call is for, passed on to onUsage listeners
+ *   usageFeature: feature reported to onUsage listeners instead (e.g. a chat reply regenerated for replySafety)
+ * @returns {Promise<{ text: string, usage: { inputTokens, outputTokens }, provider: string, model: string }>}
+ */
+const generateText = async (feature, options) => {
+  const { provider, model } = getModelConfig(feature);
+  const result = await runResilient(
+    { provider, envKey: FEATURES[feature].env, signal: options.signal },
+    (signal) => getProvider(provider).generate({ ...options, feature, model, signal })
+  );
+  notifyUsage({ userId: options.userId, feature: options.usageFeature || feature, provider, model, usage: result.usage });
+  return { ...result, text: result.text.trim(), provider, model };
+};
+
+/**
+ * Like generateText, but calls onChunk(text) as pieces of the reply arrive.
+ * The timeout applies to the gap between chunks, and a stream is only
+ * retried if it failed before sending any text.
+ */
+const streamText = async (feature, options, onChunk) => {
+  const { provider, model } = getModelConfig(feature);
+  let sentText = false;
+  let streamed = '';
+
+  let result;
+  try {
+    result = await runResilient(
+      { provider, envKey: FEATURES[feature].env, signal: options.signal, canRetry: () => !sentText },
+      (signal, progress) =>
+        getProvider(provider).stream({ ...options, feature, model, signal }, (text) => {
+          if (!progress()) return; // attempt already timed out
+          sentText = true;
+          streamed += text;
+          onChunk(text);
+        })
+    );
+  } catch (err) {
+    // Stopped after sending text (aborted, cut off by a safety check, timed
+    // out): the tokens were still spent, so report an estimate
+    if (sentText) {
+      notifyUsage({
+        userId: options.userId,
+        feature,
+        provider,
+        model,
+        usage: {
+          inputTokens: estimateTokens(`${options.system || ''}${options.prompt}`),
+          outputTokens: estimateTokens(streamed),
+        },
+        estimated: true,
+      });
+    }
+    throw err;
+  }
+  notifyUsage({ userId: options.userId, feature: options.usageFeature || feature, provider, model, usage: result.usage });
+  return { ...result, text: result.text.trim(), provider, model };
+};
+
+/**
+ * Parse a model reply that should be JSON, tolerating ```json fences
+ * Throws a SyntaxError if it still isn't JSON
+ */
+const parseJsonResponse = (text) =>
+  JSON.parse(text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim());
+
+module.exports = {
+  FEATURES,
+  getModelConfig,
+  isLLMConfigured,
+  generateText,
+  streamText,
+  parseJsonResponse,
+  estimateTokens,
+  setProvider,
+  onUsage,
+  getCircuitStates,
+};
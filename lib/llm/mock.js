@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const { llmError } = require('./errors');
+const { estimateTokens } = require('./tokens');
+
+const CHAT_REPLIES = [
+  "That sounds like a lot to carry. I'm here with you. What's been weighing on you the most?",
+  "Thank you for sharing that with me. It makes sense to feel this way. How are you taking care of yourself today?",
+  "I hear you. Sometimes a few slow breaths can help settle things a little. Would you like to try a breathing exercise together?",
+  "It's really good that you're checking in with yourself. What would make the rest of today feel a bit lighter?",
+];
+
+// Same prompt -> same pick, so tests can assert on output
+const pick = (list, seed) => {
+  const hash = crypto.createHash('sha256').update(seed).digest();
+  return list[hash.readUInt32BE(0) % list.length];
+};
+
+// Canned replies per feature, shaped like what each caller parses
+const DEFAULT_RESPONSES = {
+  chat: ({ prompt }) => pick(CHAT_REPLIES, prompt),
+  summary: () => '- Checks in regularly about their mood\n- Finds breathing exercises helpful',
+  journalPrompts: () => JSON.stringify([
+    'What emotions are you feeling most strongly right now?',
+    "What's one thing that brought you peace or comfort recently?",
+    'If you could tell your future self something about today, what would it be?',
+  ]),
+  moderation: () => JSON.stringify({ safe: true, reason: '', flaggedContent: '' }),
+  crisisReview: () => JSON.stringify({ level: 'none', reason: 'Mock review' }),
+  sessionSummary: () => 'Earlier, the user talked about feeling stressed and tried a breathing exercise.',
+  activityRecommendations: () => JSON.stringify({
+    activities: [{ id: 'breathing-exercise', reason: 'A few slow breaths can help settle stress.' }],
+  }),
+  replySafety: () => JSON.stringify({ safe: true, categories: [], reason: '' }),
+  nudges: () => "Hey, I've been thinking about you. It sounds like the last few days might have been a bit heavier. How are you doing today?",
+};
+
+/**
+ * Deterministic offline provider: no network, canned replies per feature.
+ * Override replies with { responses: { [feature]: string | (options) => string } }
+ */
+const createMockProvider = ({ responses = {} } = {}) => {
+  const table = { ...DEFAULT_RESPONSES, ...responses };
+
+  const reply = (options) => {
+    if (options.signal?.aborted) throw llmError('llm/aborted', 'Generation aborted');
+    const entry = table[options.feature];
+    if (entry === undefined) return `Mock reply for ${options.feature || 'unknown feature'}.`;
+    return typeof entry === 'function' ? entry(options) : entry;
+  };
+
+  const usageFor = (options, text) => ({
+    inputTokens: estimateTokens(`${options.system || ''}${options.prompt}`),
+    outputTokens: estimateTokens(text),
+  });
+
+  return {
+    name: 'mock',
+    isConfigured: () => true,
+
+    generate: async (options) => {
+      const text = reply(options);
+      return { text, usage: usageFor(options, text) };
+    },
+
+    // Emits the reply a few words at a time, checking for abort between chunks
+    stream: async (options, onChunk) => {
+      const text = reply(options);
+      const pieces = text.match(/\S+\s*/g) || [];
+      for (let i = 0; i < pieces.length; i += 3) {
+        await new Promise((resolve) => setImmediate(resolve));
+        if (options.signal?.aborted) throw llmError('llm/aborted', 'Generation aborted');
+        onChunk(pieces.slice(i, i + 3).join(''));
+      }
+      return { text, usage: usageFor(options, text) };
+    },
+  };
+};
+
+module.exports = { createMockProvider };
@@ -0,0 +1,110 @@
+const axios = require('axios');
+const { llmError } = require('./errors');
+
+const isAbort = (err, signal) => signal?.aborted || axios.isCancel(err);
+
+const toUsage = (usage) => ({
+  inputTokens: usage?.prompt_tokens || 0,
+  outputTokens: usage?.completion_tokens || 0,
+});
+
+/**
+ * Any OpenAI-compatible chat completions endpoint: OpenAI itself, or a local
+ * Ollama (http://localhost:11434/v1) / llama.cpp server
+ * OPENAI_BASE_URL, OPENAI_API_KEY (optional for local servers)
+ */
+const createOpenAICompatibleProvider = ({
+  baseUrl = process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+  apiKey = process.env.OPENAI_API_KEY,
+} = {}) => {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  const buildBody = ({ model, system, prompt, temperature, topP, maxOutputTokens, json }) => ({
+    model,
+    messages: [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      { role: 'user', content: prompt },
+    ],
+    temperature,
+    top_p: topP,
+    max_tokens: maxOutputTokens,
+    ...(json ? { response_format: { type: 'json_object' } } : {}),
+  });
+
+  // A malformed stream event is the server's fault, not the network's: not retried
+  const parseEvent = (payload) => {
+    try {
+      return JSON.parse(payload);
+    } catch (err) {
+      throw llmError('llm/bad-response', `OpenAI-compatible stream sent invalid JSON: ${payload.slice(0, 100)}`, err);
+    }
+  };
+
+  const requestFailed = (err) => {
+    const detail = err.response?.data?.error?.message || err.message;
+    return llmError('llm/request-failed', `OpenAI-compatible request failed: ${detail}`, err);
+  };
+
+  return {
+    name: 'openai',
+    isConfigured: () => true,
+
+    generate: async (options) => {
+      try {
+        const { data } = await axios.post(endpoint, buildBody(options), {
+          headers,
+          signal: options.signal,
+        });
+        return {
+          text: data.choices?.[0]?.message?.content || '',
+          usage: toUsage(data.usage),
+        };
+      } catch (err) {
+        if (isAbort(err, options.signal)) throw llmError('llm/aborted', 'Generation aborted', err);
+        throw requestFailed(err);
+      }
+    },
+
+    stream: async (options, onChunk) => {
+      try {
+        const response = await axios.post(
+          endpoint,
+          { ...buildBody(options), stream: true, stream_options: { include_usage: true } },
+          { headers, signal: options.signal, responseType: 'stream' }
+        );
+
+        let text = '';
+        let usage;
+        let buffered = '';
+
+        // Server-Sent Events: "data: {...}\n\n", terminated by "data: [DONE]"
+        for await (const bytes of response.data) {
+          buffered += bytes.toString('utf8');
+          const lines = buffered.split('\n');
+          buffered = lines.pop();
+
+          for (const line of lines) {
+            const payload = line.replace(/^data:\s*/, '').trim();
+            if (!line.startsWith('data:') || !payload || payload === '[DONE]') continue;
+
+            const event = parseEvent(payload);
+            if (event.usage) usage = event.usage;
+            const piece = event.choices?.[0]?.delta?.content;
+            if (!piece) continue;
+            text += piece;
+            onChunk(piece);
+          }
+        }
+
+        return { text, usage: toUsage(usage) };
+      } catch (err) {
+        if (isAbort(err, options.signal)) throw llmError('llm/aborted', 'Generation aborted', err);
+        if (err.code === 'llm/bad-response') throw err;
+        throw requestFailed(err);
+      }
+    },
+  };
+};
+
+module.exports = { createOpenAICompatibleProvider };
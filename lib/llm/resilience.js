@@ -0,0 +1,199 @@
+const { llmError } = require('./errors');
+
+// HTTP statuses worth retrying; anything else (bad request, auth) fails the same way again
+const TRANSIENT_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Timeouts, retries and circuit breaker settings. LLM_<FEATURE>_TIMEOUT_MS
+ * overrides LLM_TIMEOUT_MS for one feature.
+ * @param {string} envKey - the feature's env key, e.g. 'CHAT'
+ */
+const resilienceConfig = (envKey) => ({
+  timeoutMs: envInt(`LLM_${envKey}_TIMEOUT_MS`, envInt('LLM_TIMEOUT_MS', 20000)),
+  maxRetries: envInt('LLM_MAX_RETRIES', 2),
+  retryBaseMs: envInt('LLM_RETRY_BASE_MS', 300),
+  retryMaxMs: envInt('LLM_RETRY_MAX_MS', 3000),
+  breakerThreshold: envInt('LLM_BREAKER_THRESHOLD', 5),
+  breakerCooldownMs: envInt('LLM_BREAKER_COOLDOWN_MS', 30000),
+});
+
+// HTTP status behind a provider error (Gemini SDK errors carry .status, axios .response.status)
+const statusOf = (err) => {
+  for (let e = err; e; e = e.cause) {
+    const status = e.status ?? e.response?.status;
+    if (status) return status;
+  }
+  return null;
+};
+
+// Timeouts, network errors and transient HTTP statuses. These are retried and
+// count towards opening the circuit; aborts and bad requests do neither.
+const isTransient = (err) => {
+  if (err?.code === 'llm/timeout') return true;
+  if (err?.code !== 'llm/request-failed') return false;
+  const status = statusOf(err);
+  return status === null || TRANSIENT_STATUSES.includes(status);
+};
+
+/* ----------------------------------------------------------
+   CIRCUIT BREAKER (one per provider, shared by every feature)
+   closed: calls go through; after breakerThreshold transient
+   failures in a row it opens. open: calls fail fast with
+   llm/unavailable until breakerCooldownMs passes. half-open:
+   one trial call; success closes the circuit, failure reopens it.
+---------------------------------------------------------- */
+const breakers = new Map();
+
+const getBreaker = (provider) => {
+  if (!breakers.has(provider)) {
+    breakers.set(provider, { state: 'closed', failures: 0, openedAt: 0, probing: false });
+  }
+  return breakers.get(provider);
+};
+
+const acquire = (provider, config) => {
+  const breaker = getBreaker(provider);
+
+  if (breaker.state === 'open') {
+    if (Date.now() - breaker.openedAt < config.breakerCooldownMs) {
+      throw llmError('llm/unavailable', `${provider} is unavailable (circuit open)`);
+    }
+    breaker.state = 'half-open';
+    breaker.probing = false;
+  }
+
+  if (breaker.state === 'half-open') {
+    if (breaker.probing) throw llmError('llm/unavailable', `${provider} is unavailable (circuit half-open)`);
+    breaker.probing = true;
+  }
+};
+
+const recordOutcome = (provider, err, config) => {
+  const breaker = getBreaker(provider);
+  breaker.probing = false;
+
+  // Success, or an error the provider answered with (e.g. a bad request): it is up
+  if (!err || !isTransient(err)) {
+    if (breaker.state !== 'closed') console.log(`LLM circuit for ${provider} closed`);
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    return;
+  }
+
+  breaker.failures += 1;
+  if (breaker.state === 'half-open' || breaker.failures >= config.breakerThreshold) {
+    if (breaker.state !== 'open') {
+      console.warn(`LLM circuit for ${provider} opened after ${breaker.failures} failures`);
+    }
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+};
+
+/**
+ * Circuit state per provider, e.g. { gemini: 'open' }
+ */
+const getCircuitStates = () =>
+  Object.fromEntries([...breakers.entries()].map(([provider, breaker]) => [provider, breaker.state]));
+
+/* ----------------------------------------------------------
+   TIMEOUTS AND RETRIES
+---------------------------------------------------------- */
+/**
+ * One attempt with a timeout. The timer restarts whenever the call reports
+ * progress (a streamed chunk), so for streams it limits silence, not length.
+ * Rejects with llm/timeout even if the provider ignores the abort signal.
+ * @param {function(AbortSignal, function(): boolean): Promise} call - gets the attempt's
+ *   signal and a progress callback that returns false once the attempt has given up
+ */
+const attemptWithTimeout = (call, { signal, timeoutMs }) => {
+  if (signal?.aborted) return Promise.reject(llmError('llm/aborted', 'Generation aborted'));
+
+  const controller = new AbortController();
+  let settled = false;
+  let timer;
+
+  return new Promise((resolve, reject) => {
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      fn(value);
+    };
+    const arm = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        controller.abort();
+        finish(reject, llmError('llm/timeout', `No response from the model within ${timeoutMs}ms`));
+      }, timeoutMs);
+    };
+    const onAbort = () => {
+      controller.abort();
+      finish(reject, llmError('llm/aborted', 'Generation aborted'));
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    arm();
+
+    const progress = () => {
+      if (settled) return false;
+      arm();
+      return true;
+    };
+
+    Promise.resolve()
+      .then(() => call(controller.signal, progress))
+      .then(
+        (result) => finish(resolve, result),
+        (err) => finish(reject, err)
+      );
+  });
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Exponential backoff with full jitter: a random wait up to base * 2^(retry-1), capped
+const backoffMs = (retry, config) =>
+  Math.round(Math.random() * Math.min(config.retryMaxMs, config.retryBaseMs * 2 ** (retry - 1)));
+
+/**
+ * Run a provider call with a timeout per attempt, bounded retries with jitter
+ * for transient failures, and the provider's circuit breaker
+ * Throws llm/unavailable (circuit open), llm/timeout, or the provider's error
+ * @param {Object} params
+ * @param {string} params.provider - provider name (one breaker each)
+ * @param {string} params.envKey - feature env key, for LLM_<FEATURE>_TIMEOUT_MS
+ * @param {AbortSignal} [params.signal] - caller's signal; aborting stops retries too
+ * @param {function(): boolean} [params.canRetry] - e.g. false once a stream has sent text
+ * @param {function(AbortSignal, function(): boolean): Promise} call - see attemptWithTimeout
+ */
+const runResilient = async ({ provider, envKey, signal, canRetry = () => true }, call) => {
+  const config = resilienceConfig(envKey);
+
+  for (let retry = 0; ; retry++) {
+    if (retry > 0) await sleep(backoffMs(retry, config));
+    acquire(provider, config);
+
+    try {
+      const result = await attemptWithTimeout(call, { signal, timeoutMs: config.timeoutMs });
+      recordOutcome(provider, null, config);
+      return result;
+    } catch (err) {
+      if (err.code === 'llm/aborted') {
+        getBreaker(provider).probing = false;
+        throw err;
+      }
+      recordOutcome(provider, err, config);
+      if (!isTransient(err) || retry >= config.maxRetries || !canRetry() || signal?.aborted) throw err;
+      console.warn(`LLM call to ${provider} failed (${err.code}), retrying`);
+    }
+  }
+};
+
+module.exports = { runResilient, getCircuitStates, isTransient };
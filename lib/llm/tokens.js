@@ -0,0 +1,7 @@
+/**
+ * Rough token count for budgeting (about 4 characters per token for English).
+ * Good enough to size prompts; providers report exact usage after the call.
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+module.exports = { estimateTokens };
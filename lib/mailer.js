@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const mailError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * SMTP transport (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+ */
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+/**
+ * Development transport: writes each message as JSON to MAIL_OUTPUT_DIR
+ */
+const createFileTransport = () => {
+  const outputDir = path.resolve(process.env.MAIL_OUTPUT_DIR || 'tmp/mail');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(outputDir, { recursive: true });
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}_${message.subject.replace(/\W+/g, '-')}.json`;
+      const filePath = path.join(outputDir, fileName);
+      await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+      console.log(`📧 Mail written to ${filePath}`);
+      return { filePath };
+    },
+  };
+};
+
+/**
+ * Development transport: prints messages to the console
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return {};
+  },
+});
+
+/**
+ * Production without MAIL_TRANSPORT: refuse to send rather than print live
+ * verification and reset links to the logs
+ */
+const createUnconfiguredTransport = () => ({
+  name: 'none',
+  send: async () => {
+    throw mailError('mail/not-configured', 'MAIL_TRANSPORT is not set');
+  },
+});
+
+let transport;
+
+/**
+ * Get the configured transport: MAIL_TRANSPORT=smtp | file | console.
+ * Unset means console, except in production, where sending fails with mail/not-configured.
+ */
+const getTransport = () => {
+  if (transport) return transport;
+
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'smtp':
+      transport = createSmtpTransport();
+      break;
+    case 'file':
+      transport = createFileTransport();
+      break;
+    case 'console':
+      transport = createConsoleTransport();
+      break;
+    default:
+      transport = process.env.NODE_ENV === 'production'
+        ? createUnconfiguredTransport()
+        : createConsoleTransport();
+  }
+  return transport;
+};
+
+// Swap the transport (e.g. for tests or another mail provider)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const from = process.env.MAIL_FROM || 'Mental Buddy <no-reply@mentalbuddy.app>';
+  return getTransport().send({ from, to, subject, text, html });
+};
+
+module.exports = { sendMail, setTransport, createSmtpTransport, createFileTransport, createConsoleTransport };
@@ -0,0 +1,450 @@
+const { initializeFirebase, getFirestore } = require('./firebase');
+const { generateText } = require('./llm');
+const { UNTRUSTED_CONTENT_RULES, delimit } = require('./promptSafety');
+const { checkReplyRules } = require('./replySafety');
+const { createCompanionSession } = require('./chatSessions');
+
+// Proactive check-ins: a scheduled job pages through users, looks at each
+// one's recent moodEntries and activities and, when a trigger matches, starts a
+// chat session with a gentle message from the companion. nudges/{uid}_{key}
+// records each one so the same event never causes two.
+const NUDGES_COLLECTION = 'nudges';
+const LOOKBACK_DAYS = 14;
+const USER_PAGE_SIZE = 100;
+const DECLINING_DAYS = 3;
+const MIN_STREAK_DAYS = 3;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const nudgeConfig = () => ({
+  intervalMinutes: envInt('NUDGE_INTERVAL_MINUTES', 0),
+  cooldownHours: envInt('NUDGE_COOLDOWN_HOURS', 24),
+  highStress: envInt('NUDGE_HIGH_STRESS', 8),
+  quietHours: process.env.NUDGE_QUIET_HOURS || '22:00-08:00',
+  timeZone: process.env.NUDGE_DEFAULT_TIMEZONE || 'UTC',
+});
+
+const nudgeError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const requireDb = () => {
+  const db = getFirestore();
+  if (!db) throw nudgeError('nudge/unavailable', 'Nudge store not available');
+  return db;
+};
+
+const toDay = (date) => date.toISOString().split('T')[0];
+
+// YYYY-MM-DD of `date` in the time zone
+const dayIn = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(date);
+  const part = (type) => parts.find((p) => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+};
+
+// YYYY-MM-DD `offset` days from `day`
+const shiftDay = (day, offset) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + offset);
+  return toDay(date);
+};
+
+/* ----------------------------------------------------------
+   PREFERENCES (users.preferences)
+   notifications: false turns nudges off. quietHours
+   { start: 'HH:MM', end: 'HH:MM' } in preferences.timezone
+   (IANA name); defaults: NUDGE_QUIET_HOURS, NUDGE_DEFAULT_TIMEZONE
+---------------------------------------------------------- */
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Check the nudge-related fields of a preferences update
+ * @returns {string|null} - error message, or null when they are valid (or absent)
+ */
+const validateNudgePreferences = (preferences) => {
+  const { quietHours, timezone } = preferences || {};
+  if (timezone != null && (typeof timezone !== 'string' || !isValidTimeZone(timezone))) {
+    return 'preferences.timezone must be an IANA time zone, e.g. Asia/Kolkata';
+  }
+  if (quietHours != null && !(TIME_PATTERN.test(quietHours.start) && TIME_PATTERN.test(quietHours.end))) {
+    return 'preferences.quietHours must be { start, end } as HH:MM';
+  }
+  return null;
+};
+
+const defaultQuietHours = () => {
+  const [start, end] = nudgeConfig().quietHours.split('-');
+  return TIME_PATTERN.test(start) && TIME_PATTERN.test(end) ? { start, end } : null;
+};
+
+const userTimeZone = (preferences) =>
+  (isValidTimeZone(preferences?.timezone) && preferences?.timezone) || nudgeConfig().timeZone;
+
+/**
+ * Whether `now` falls in the user's quiet hours (which may span midnight)
+ */
+const isQuietTime = (preferences, now = new Date()) => {
+  const quietHours = preferences?.quietHours || defaultQuietHours();
+  if (!quietHours) return false;
+
+  const timeZone = userTimeZone(preferences);
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(now);
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+  const minutes = part('hour') * 60 + part('minute');
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return false;
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+};
+
+/* ----------------------------------------------------------
+   TRIGGERS
+---------------------------------------------------------- */
+// Stored dates are UTC days; re-date entries by when they were logged, in the user's time zone
+const entryTime = (item) => {
+  if (item.timestamp) return new Date(item.timestamp);
+  if (item.completedAt?.toDate) return item.completedAt.toDate();
+  return null;
+};
+
+const withLocalDays = (items, timeZone) => items
+  .map((item) => {
+    const time = entryTime(item);
+    return { ...item, day: time ? dayIn(time, timeZone) : item.date };
+  })
+  .filter((item) => item.day);
+
+// Days in a row ending on `lastDay` that are in the set
+const streakEndingOn = (days, lastDay) => {
+  let length = 0;
+  while (days.has(shiftDay(lastDay, -length))) length += 1;
+  return length;
+};
+
+/**
+ * Triggers that match a user's recent data, most urgent first
+ * - high-stress: a mood entry in the last 24 hours with stress >= NUDGE_HIGH_STRESS (default 8)
+ * - declining-mood: mood lower on each of the last three days logged, ending today or yesterday
+ * - missed-streak: an activity (or mood logging) streak of 3+ days that stopped yesterday
+ * Days are calendar days in `timeZone` (default NUDGE_DEFAULT_TIMEZONE)
+ * @param {{ moods: Object[], activities: Object[], now?: Date, timeZone?: string }} data - the user's moodEntries and activities
+ * @returns {Object[]} - [{ trigger, key, detail }]; key identifies the event, so it is only nudged once
+ */
+const detectTriggers = ({ moods, activities, now = new Date(), timeZone = nudgeConfig().timeZone }) => {
+  const today = dayIn(now, timeZone);
+  const yesterday = shiftDay(today, -1);
+  const triggers = [];
+  const moodDays = withLocalDays(moods, timeZone);
+
+  const { highStress } = nudgeConfig();
+  const stressed = moods
+    .filter((m) => Number(m.stress) >= highStress && m.timestamp && now - new Date(m.timestamp) <= 24 * 3600 * 1000)
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp))[0];
+  if (stressed) {
+    triggers.push({
+      trigger: 'high-stress',
+      key: `high-stress:${stressed.date}`,
+      detail: { date: stressed.date, stress: Number(stressed.stress), note: stressed.note || '' },
+    });
+  }
+
+  // The latest entry of each local day
+  const latestByDay = new Map();
+  moodDays
+    .filter((m) => typeof m.mood === 'number')
+    .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''))
+    .forEach((m) => latestByDay.set(m.day, m));
+  const recent = [...latestByDay.values()]
+    .sort((a, b) => a.day.localeCompare(b.day))
+    .slice(-DECLINING_DAYS);
+  const consecutive = recent.every((m, i) => i === 0 || m.day === shiftDay(recent[i - 1].day, 1));
+  const declining = recent.every((m, i) => i === 0 || m.mood < recent[i - 1].mood);
+  const last = recent[recent.length - 1];
+  if (recent.length === DECLINING_DAYS && consecutive && declining && [today, yesterday].includes(last.day)) {
+    triggers.push({
+      trigger: 'declining-mood',
+      key: `declining-mood:${last.day}`,
+      detail: { moods: recent.map((m) => ({ date: m.day, mood: m.mood })), note: last.note || '' },
+    });
+  }
+
+  // Streaks are of days with a completed activity, then of days with a mood logged
+  [['activities', withLocalDays(activities, timeZone)], ['mood-log', moodDays]].some(([kind, items]) => {
+    const days = new Set(items.map((item) => item.day));
+    if (days.has(yesterday) || days.has(today)) return false;
+    const streakEnd = shiftDay(today, -2);
+    const length = streakEndingOn(days, streakEnd);
+    if (length < MIN_STREAK_DAYS) return false;
+
+    triggers.push({
+      trigger: 'missed-streak',
+      key: `missed-streak:${kind}:${streakEnd}`,
+      detail: { kind, length, lastDay: streakEnd },
+    });
+    return true;
+  });
+
+  return triggers;
+};
+
+/* ----------------------------------------------------------
+   MESSAGE (feature "nudges")
+---------------------------------------------------------- */
+const TRIGGER_CONTEXT = {
+  'high-stress': 'They logged feeling very stressed in the last day.',
+  'declining-mood': 'Their mood has dipped a little more each of the last few days.',
+  'missed-streak': 'They had been keeping up a daily habit (activities or mood check-ins) but missed yesterday.',
+};
+
+const NUDGE_TITLES = {
+  'high-stress': 'Checking in on you',
+  'declining-mood': 'Thinking of you',
+  'missed-streak': 'Just saying hi',
+};
+
+// Used when the model is unavailable or its message fails the reply safety rules
+const FALLBACK_MESSAGES = {
+  'high-stress': (name) => `Hi ${name}, I noticed today has been a stressful one. I'm here if you'd like to talk it through or just take a slow breath together. How are you holding up right now?`,
+  'declining-mood': (name) => `Hi ${name}, I've been thinking about you. It seems like the last few days have been feeling a bit heavier. Would you like to tell me how things are going?`,
+  'missed-streak': (name) => `Hi ${name}, just checking in, no pressure at all. Whenever you're ready, I'm here. How has your day been?`,
+};
+
+const NUDGE_SYSTEM = `You are an empathetic AI wellness companion writing a short check-in message to a user who has not messaged you.
+
+GUIDELINES:
+- 1–3 sentences, warm and natural, like a friend texting
+- Mention what you noticed softly and in general terms; never quote scores, numbers, logs, streaks or "our records"
+- End with one open, low-pressure question
+- Never make the user feel guilty, e.g. about a missed habit
+- No clinical language, diagnoses or medication advice
+
+${UNTRUSTED_CONTENT_RULES}
+
+Return ONLY the message.`;
+
+/**
+ * A personalized check-in message for a trigger, or a fixed one if the model
+ * fails or its message does not pass the reply safety rules
+ */
+const composeNudge = async ({ userId, name, trigger, detail }) => {
+  const firstName = (name || '').split(' ')[0] || 'there';
+
+  const prompt = `
+Name: ${delimit('user_name', firstName, { maxLength: 50, singleLine: true })}
+What you noticed: ${TRIGGER_CONTEXT[trigger]}
+${detail.note ? `Their latest mood note:\n${delimit('mood_history', detail.note, { maxLength: 300, singleLine: true })}\n` : ''}`;
+
+  try {
+    const { text } = await generateText('nudges', {
+      system: NUDGE_SYSTEM,
+      prompt,
+      temperature: 0.8,
+      maxOutputTokens: 150,
+      userId,
+    });
+    if (text && checkReplyRules(text).length === 0) return text;
+    console.warn('Nudge message withheld by reply safety rules:', JSON.stringify({ userId, trigger }));
+  } catch (err) {
+    console.error('Nudge generation failed:', err.code || err.message);
+  }
+  return FALLBACK_MESSAGES[trigger](firstName);
+};
+
+/* ----------------------------------------------------------
+   JOB
+---------------------------------------------------------- */
+// One page of users, in document id order
+const userPage = (db, admin, after) => {
+  let query = db.collection('users').orderBy(admin.firestore.FieldPath.documentId()).limit(USER_PAGE_SIZE);
+  if (after) query = query.startAfter(after);
+  return query.get();
+};
+
+// The user's moodEntries and activities since `since` (UTC day). Queried by
+// userId only and filtered here, so no composite index is needed
+const loadRecentData = async (db, userId, since) => {
+  const [moodSnapshot, activitySnapshot] = await Promise.all([
+    db.collection('moodEntries').where('userId', '==', userId).get(),
+    db.collection('activities').where('userId', '==', userId).get(),
+  ]);
+  const recent = (snapshot) => snapshot.docs.map((doc) => doc.data()).filter((item) => item.date >= since);
+  return { moods: recent(moodSnapshot), activities: recent(activitySnapshot) };
+};
+
+// Claim a nudge key; false if it was already sent (or another run has it)
+const claimNudge = (db, ref, record) =>
+  db.runTransaction(async (tx) => {
+    const existing = await tx.get(ref);
+    if (existing.exists) return false;
+    tx.set(ref, record);
+    return true;
+  });
+
+// Check one user and nudge them if a trigger matches, counting the outcome in `result`
+const nudgeUser = async (db, admin, userDoc, { now, dryRun, since, cooldownHours }, result) => {
+  const userId = userDoc.id;
+  const user = userDoc.data();
+
+  if (user.preferences?.notifications === false) {
+    result.skipped.notificationsOff += 1;
+    return;
+  }
+  if (isQuietTime(user.preferences, now)) {
+    result.skipped.quietHours += 1;
+    return;
+  }
+  const lastNudgeAt = user.lastNudgeAt ? new Date(user.lastNudgeAt) : null;
+  if (lastNudgeAt && now - lastNudgeAt < cooldownHours * 3600 * 1000) {
+    result.skipped.cooldown += 1;
+    return;
+  }
+
+  const { moods, activities } = await loadRecentData(db, userId, since);
+  const triggers = detectTriggers({ moods, activities, now, timeZone: userTimeZone(user.preferences) });
+  if (triggers.length === 0) return;
+
+  // The most urgent trigger not nudged about yet
+  const refs = triggers.map(({ key }) => db.collection(NUDGES_COLLECTION).doc(`${userId}_${key}`));
+  const sent = await Promise.all(refs.map((ref) => ref.get().then((doc) => doc.exists)));
+  const index = sent.indexOf(false);
+  if (index === -1) {
+    result.skipped.alreadySent += 1;
+    return;
+  }
+  const { trigger, key, detail } = triggers[index];
+
+  if (dryRun) {
+    result.nudged.push({ userId, trigger, key });
+    return;
+  }
+
+  const claimed = await claimNudge(db, refs[index], {
+    userId,
+    trigger,
+    key,
+    detail,
+    status: 'pending',
+    sessionId: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  if (!claimed) {
+    result.skipped.alreadySent += 1;
+    return;
+  }
+
+  try {
+    const message = await composeNudge({ userId, name: user.name, trigger, detail });
+    const session = await createCompanionSession(userId, { title: NUDGE_TITLES[trigger], message, nudge: trigger });
+
+    await refs[index].update({ status: 'sent', sessionId: session.sessionId, sentAt: now.toISOString() });
+    await db.collection('users').doc(userId).set({ lastNudgeAt: now.toISOString() }, { merge: true });
+    result.nudged.push({ userId, trigger, key, sessionId: session.sessionId });
+  } catch (err) {
+    // Release the key so the next run can try again
+    console.error('Error sending nudge:', err.code || err.message);
+    await refs[index].delete().catch(() => {});
+    result.skipped.failed += 1;
+  }
+};
+
+/**
+ * Page through users (USER_PAGE_SIZE at a time), check each one's last two
+ * weeks of moodEntries and activities, and nudge every user with a matching
+ * trigger, at most one nudge per user per run and per NUDGE_COOLDOWN_HOURS
+ * (default 24). A user that can't be checked or nudged counts in skipped.failed.
+ * @param {{ now?: Date, dryRun?: boolean }} [options] - dryRun: report who would be nudged, send nothing
+ * @returns {Promise<{ dryRun: boolean, scannedUsers: number, nudged: Object[], skipped: Object<string, number> }>}
+ */
+const runNudgeJob = async ({ now = new Date(), dryRun = false } = {}) => {
+  const admin = initializeFirebase();
+  const db = requireDb();
+  const { cooldownHours } = nudgeConfig();
+  // A day of slack: stored dates are UTC days, triggers use the user's own
+  const since = shiftDay(toDay(now), -(LOOKBACK_DAYS + 1));
+
+  const result = {
+    dryRun,
+    scannedUsers: 0,
+    nudged: [],
+    skipped: { notificationsOff: 0, quietHours: 0, cooldown: 0, alreadySent: 0, failed: 0 },
+  };
+
+  let page = await userPage(db, admin);
+  while (page.size > 0) {
+    for (const userDoc of page.docs) {
+      result.scannedUsers += 1;
+      try {
+        await nudgeUser(db, admin, userDoc, { now, dryRun, since, cooldownHours }, result);
+      } catch (err) {
+        // One bad user doc or failed read must not end the run for everyone after it
+        console.error('Error checking user for nudges:', JSON.stringify({ userId: userDoc.id, error: err.code || err.message }));
+        result.skipped.failed += 1;
+      }
+    }
+    if (page.size < USER_PAGE_SIZE) break;
+    page = await userPage(db, admin, page.docs[page.size - 1]);
+  }
+
+  return result;
+};
+
+/**
+ * Run the job every NUDGE_INTERVAL_MINUTES (off when unset or 0). A run is
+ * skipped while the previous one is still going.
+ * @returns {NodeJS.Timeout|null}
+ */
+const startNudgeScheduler = () => {
+  const { intervalMinutes } = nudgeConfig();
+  if (intervalMinutes <= 0) return null;
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running || !getFirestore()) return;
+    running = true;
+    try {
+      const { scannedUsers, nudged, skipped } = await runNudgeJob();
+      console.log('Nudge job:', JSON.stringify({ scannedUsers, nudged: nudged.length, skipped }));
+    } catch (err) {
+      console.error('Nudge job failed:', err.code || err.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMinutes * 60 * 1000);
+  timer.unref();
+
+  console.log(`⏰ Check-in nudges every ${intervalMinutes} minutes`);
+  return timer;
+};
+
+module.exports = {
+  NUDGES_COLLECTION,
+  validateNudgePreferences,
+  isQuietTime,
+  detectTriggers,
+  composeNudge,
+  runNudgeJob,
+  startNudgeScheduler,
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { getFirestore } = require('./firebase');
+const { hashPassword, passwordMatches } = require('./credentials');
+
+const PASSWORD_HISTORY_COLLECTION = 'passwordHistory';
+const MIN_LENGTH = 8;
+const MAX_LENGTH = 128;
+
+const historySize = () => parseInt(process.env.PASSWORD_HISTORY_SIZE) || 5;
+
+// Bundled blocklist of common/breached passwords (config/commonPasswords.txt)
+const blocklist = new Set(
+  fs.readFileSync(path.join(__dirname, '../config/commonPasswords.txt'), 'utf8')
+    .split('\n')
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith('#'))
+);
+
+// "Password123!" -> "password": the complexity rules push people to decorate a
+// common word, so check the bare word too
+const isCommonPassword = (password) => {
+  const lowered = password.toLowerCase();
+  const core = lowered.replace(/^[^a-z]+/, '').replace(/[^a-z]+$/, '');
+  return blocklist.has(lowered) || (core.length >= 3 && blocklist.has(core));
+};
+
+/**
+ * Check a password against the policy (length, character classes, blocklist)
+ * Used by signup, password change and password reset
+ * @param {string} password
+ * @returns {{ isValid: boolean, errors: string[] }}
+ */
+const validatePassword = (password) => {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length < MIN_LENGTH) {
+    errors.push(`Password must be at least ${MIN_LENGTH} characters long`);
+    return { isValid: false, errors };
+  }
+  if (password.length > MAX_LENGTH) {
+    errors.push(`Password must be less than ${MAX_LENGTH} characters`);
+  }
+  if (!/[A-Z]/.test(password)) {
+    errors.push('Password must contain at least one uppercase letter');
+  }
+  if (!/[a-z]/.test(password)) {
+    errors.push('Password must contain at least one lowercase letter');
+  }
+  if (!/[0-9]/.test(password)) {
+    errors.push('Password must contain at least one number');
+  }
+  if (!/[!@#$%^&*(),.?":{}|<>]/.test(password)) {
+    errors.push('Password must contain at least one special character');
+  }
+  if (isCommonPassword(password)) {
+    errors.push('Password is too common. Please choose something less predictable');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * True if the password matches one of the user's last N passwords
+ */
+const isRecentlyUsed = async (uid, password) => {
+  const db = getFirestore();
+  if (!db) return false;
+
+  const historyDoc = await db.collection(PASSWORD_HISTORY_COLLECTION).doc(uid).get();
+  const hashes = historyDoc.exists ? historyDoc.data().hashes || [] : [];
+  return hashes.slice(0, historySize()).some((stored) => passwordMatches(password, stored));
+};
+
+/**
+ * Full check for a user's new password: policy plus reuse of recent passwords
+ * @returns {Promise<{ isValid: boolean, errors: string[] }>}
+ */
+const validateNewPassword = async (uid, password) => {
+  const result = validatePassword(password);
+  if (!result.isValid) return result;
+
+  if (await isRecentlyUsed(uid, password)) {
+    return {
+      isValid: false,
+      errors: [`Password must be different from your last ${historySize()} passwords`],
+    };
+  }
+  return result;
+};
+
+/**
+ * Remember a password (hashed) so it can't be reused; keeps the last N
+ */
+const recordPasswordHistory = async (uid, password) => {
+  const db = getFirestore();
+  if (!db) return;
+
+  const ref = db.collection(PASSWORD_HISTORY_COLLECTION).doc(uid);
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const hashes = snap.exists ? snap.data().hashes || [] : [];
+    tx.set(ref, {
+      hashes: [hashPassword(password), ...hashes].slice(0, historySize()),
+      updatedAt: new Date().toISOString(),
+    });
+  });
+};
+
+module.exports = {
+  validatePassword,
+  validateNewPassword,
+  recordPasswordHistory,
+  isCommonPassword,
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_ISSUER = 'mental-buddy-api';
+const DEFAULT_AUDIENCE = 'mental-buddy-app';
+const DEFAULT_TTL = '15m';
+const DEFAULT_GUEST_TTL = '1h';
+
+let keyring;
+
+// Build an error that carries a `code`, mirroring Firebase's `auth/...` errors
+const tokenError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Load signing keys from SESSION_TOKEN_KEYS ("kid1:secret1,kid2:secret2").
+ * Every listed key is accepted for verification; new tokens are signed with
+ * SESSION_TOKEN_ACTIVE_KID (or the first key). To rotate, add the new key,
+ * point the active kid at it, and drop the old key once its tokens expire.
+ */
+const loadKeyring = () => {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+  (process.env.SESSION_TOKEN_KEYS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) return;
+      const kid = entry.slice(0, separator).trim();
+      const secret = entry.slice(separator + 1).trim();
+      if (kid && secret) keys.set(kid, secret);
+    });
+
+  if (keys.size === 0) {
+    console.warn('⚠️ SESSION_TOKEN_KEYS not set. Using an ephemeral signing key; sessions will not survive a restart.');
+    keys.set('ephemeral', crypto.randomBytes(32).toString('hex'));
+  }
+
+  const activeKid = process.env.SESSION_TOKEN_ACTIVE_KID || keys.keys().next().value;
+  if (!keys.has(activeKid)) {
+    throw new Error(`SESSION_TOKEN_ACTIVE_KID "${activeKid}" is not listed in SESSION_TOKEN_KEYS`);
+  }
+
+  keyring = { keys, activeKid };
+  return keyring;
+};
+
+const tokenOptions = () => ({
+  issuer: process.env.SESSION_TOKEN_ISSUER || DEFAULT_ISSUER,
+  audience: process.env.SESSION_TOKEN_AUDIENCE || DEFAULT_AUDIENCE,
+});
+
+// Token kinds share the keyring but get their own audience, so a token of one
+// kind can never be accepted as another
+const audienceFor = (kind) => {
+  const { audience } = tokenOptions();
+  return kind === 'session' ? audience : `${audience}:${kind}`;
+};
+
+const signToken = (kind, subject, payload, expiresIn) => {
+  const { keys, activeKid } = loadKeyring();
+
+  return jwt.sign(payload, keys.get(activeKid), {
+    algorithm: 'HS256',
+    keyid: activeKid,
+    subject,
+    expiresIn,
+    issuer: tokenOptions().issuer,
+    audience: audienceFor(kind),
+  });
+};
+
+const verifyToken = (kind, token) => {
+  const { keys } = loadKeyring();
+
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw tokenError('token/malformed', 'Malformed token');
+  }
+
+  const secret = keys.get(decoded.header.kid);
+  if (!secret) {
+    throw tokenError('token/unknown-key', 'Token signed with an unknown key');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, secret, {
+      algorithms: ['HS256'],
+      issuer: tokenOptions().issuer,
+      audience: audienceFor(kind),
+    });
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      throw tokenError('token/expired', 'Token expired');
+    }
+    if (err.message === 'invalid signature') {
+      throw tokenError('token/tampered', 'Token signature does not match');
+    }
+    throw tokenError('token/invalid', `Token rejected: ${err.message}`);
+  }
+
+  if (!claims.sub) {
+    throw tokenError('token/malformed', 'Token is missing a subject');
+  }
+
+  return claims;
+};
+
+/**
+ * Issue a signed session token for a Firebase user record
+ * @param {Object} user - { uid, email }
+ * @param {Object} [claims] - extra claims, e.g. { sid } for the server-side session
+ * @returns {string} - HS256 JWT with iss/aud/sub/exp claims and a `kid` header
+ */
+const issueSessionToken = (user, claims = {}) =>
+  signToken('session', user.uid, { ...claims, email: user.email || null },
+    process.env.SESSION_TOKEN_TTL || DEFAULT_TTL);
+
+/**
+ * Verify a session token and return its claims
+ * Throws an error with code token/malformed, token/unknown-key,
+ * token/expired, token/tampered or token/invalid so callers can report a precise 401 reason
+ * @param {string} token
+ * @returns {Object} - { uid, email, claims }
+ */
+const verifySessionToken = (token) => {
+  const claims = verifyToken('session', token);
+  return { uid: claims.sub, email: claims.email, claims };
+};
+
+/**
+ * Short-lived token proving the password step of a two-factor sign-in passed
+ */
+const issueChallengeToken = (user) =>
+  signToken('2fa', user.uid, { email: user.email || null }, '5m');
+
+const verifyChallengeToken = (token) => {
+  const claims = verifyToken('2fa', token);
+  return { uid: claims.sub, email: claims.email };
+};
+
+/**
+ * Guest token for unauthenticated chat. The subject is a fresh "guest_..." id
+ * that has no Firebase user; conversations logged under it can be moved to
+ * an account at signup.
+ * @returns {{ guestToken: string, guestId: string, expiresIn: number }}
+ */
+const issueGuestToken = () => {
+  const guestId = `guest_${crypto.randomBytes(12).toString('hex')}`;
+  const guestToken = signToken('guest', guestId, {}, process.env.GUEST_TOKEN_TTL || DEFAULT_GUEST_TTL);
+  const { iat, exp } = jwt.decode(guestToken);
+  return { guestToken, guestId, expiresIn: exp - iat };
+};
+
+const verifyGuestToken = (token) => ({ guestId: verifyToken('guest', token).sub });
+
+// True when the token claims to be a guest token (signature not checked)
+const isGuestToken = (token) => {
+  const claims = jwt.decode(token);
+  return !!claims && claims.aud === audienceFor('guest');
+};
+
+// Map a token error to the 401 body sent to clients
+const tokenErrorResponse = (err) => {
+  if (err.code === 'token/expired') {
+    return { error: 'Token expired', reason: 'expired' };
+  }
+  if (err.code && err.code.startsWith('token/')) {
+    return { error: 'Invalid token', reason: err.code.slice('token/'.length) };
+  }
+  return { error: 'Invalid token' };
+};
+
+module.exports = {
+  issueSessionToken,
+  verifySessionToken,
+  issueChallengeToken,
+  verifyChallengeToken,
+  issueGuestToken,
+  verifyGuestToken,
+  isGuestToken,
+  tokenErrorResponse,
+  tokenError,
+};
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { initializeFirebase, getFirestore } = require('./firebase');
+const { issueSessionToken, verifySessionToken, tokenError } = require('./sessionTokens');
+
+const SESSIONS_COLLECTION = 'sessions';
+const DEFAULT_REFRESH_TTL_DAYS = 30;
+
+const refreshTtlMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_REFRESH_TTL_DAYS) * 24 * 60 * 60 * 1000;
+
+const hashToken = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+const newRefreshSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const sessionError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const requireDb = () => {
+  const db = getFirestore();
+  if (!db) throw sessionError('session/unavailable', 'Session store not available');
+  return db;
+};
+
+// Access token + refresh token pair returned to clients
+const buildTokenPair = (user, sessionId, refreshSecret) => {
+  const sessionToken = issueSessionToken(user, { sid: sessionId });
+  const { iat, exp } = jwt.decode(sessionToken);
+
+  return {
+    sessionToken,
+    refreshToken: `${sessionId}.${refreshSecret}`,
+    expiresIn: exp - iat,
+    sessionId,
+  };
+};
+
+// Accounts disabled in Firebase Auth get no new tokens
+const assertEnabled = (user) => {
+  if (user.disabled) throw sessionError('auth/user-disabled', 'User account is disabled');
+};
+
+/**
+ * Start a server-side session for a user and issue its first token pair
+ * Throws auth/user-disabled for disabled accounts
+ * @param {Object} user - { uid, email, disabled }
+ * @param {Object} [req] - request, used to record user agent and IP
+ */
+const createSession = async (user, req) => {
+  const admin = initializeFirebase();
+  const db = requireDb();
+  assertEnabled(user);
+
+  const refreshSecret = newRefreshSecret();
+  const sessionRef = db.collection(SESSIONS_COLLECTION).doc();
+
+  await sessionRef.set({
+    userId: user.uid,
+    refreshTokenHash: hashToken(refreshSecret),
+    userAgent: req?.get?.('user-agent') || null,
+    ip: req?.ip || null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    lastRefreshedAt: null,
+    expiresAt: new Date(Date.now() + refreshTtlMs()).toISOString(),
+    revokedAt: null,
+  });
+
+  return buildTokenPair(user, sessionRef.id, refreshSecret);
+};
+
+/**
+ * Exchange a refresh token for a new token pair (the refresh token rotates)
+ * Presenting an already-rotated refresh token revokes the whole session, as
+ * does the account being disabled (auth/user-disabled)
+ */
+const refreshSession = async (refreshToken) => {
+  const admin = initializeFirebase();
+  const db = requireDb();
+
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!sessionId || !secret) {
+    throw sessionError('session/invalid', 'Malformed refresh token');
+  }
+
+  const sessionRef = db.collection(SESSIONS_COLLECTION).doc(sessionId);
+  const nextSecret = newRefreshSecret();
+
+  const userId = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(sessionRef);
+    if (!snap.exists) throw sessionError('session/invalid', 'Unknown session');
+
+    const session = snap.data();
+    if (session.revokedAt) throw sessionError('session/revoked', 'Session has been revoked');
+    if (new Date(session.expiresAt) < new Date()) {
+      throw sessionError('session/expired', 'Session expired');
+    }
+
+    if (session.refreshTokenHash !== hashToken(secret)) {
+      // Old refresh token replayed: assume it leaked and end the session
+      tx.update(sessionRef, { revokedAt: new Date().toISOString(), revokedReason: 'refresh-reuse' });
+      return null;
+    }
+
+    tx.update(sessionRef, {
+      refreshTokenHash: hashToken(nextSecret),
+      lastRefreshedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return session.userId;
+  });
+
+  if (!userId) {
+    throw sessionError('session/refresh-reused', 'Refresh token was already used');
+  }
+
+  const userRecord = await admin.auth().getUser(userId);
+  if (userRecord.disabled) {
+    await revokeSession(sessionId, 'user-disabled');
+    assertEnabled(userRecord);
+  }
+  return {
+    ...buildTokenPair(userRecord, sessionId, nextSecret),
+    user: userRecord,
+  };
+};
+
+// Revoke a single session (sign out of one device)
+const revokeSession = async (sessionId, reason = 'signout') => {
+  const db = requireDb();
+  await db.collection(SESSIONS_COLLECTION).doc(sessionId).set(
+    { revokedAt: new Date().toISOString(), revokedReason: reason },
+    { merge: true }
+  );
+};
+
+/**
+ * Revoke every active session for a user
+ * @returns {Promise<number>} - number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason = 'signout-all') => {
+  const db = requireDb();
+
+  const sessionsQuery = await db.collection(SESSIONS_COLLECTION)
+    .where('userId', '==', userId)
+    .where('revokedAt', '==', null)
+    .get();
+
+  if (sessionsQuery.empty) return 0;
+
+  const revokedAt = new Date().toISOString();
+  const batch = db.batch();
+  sessionsQuery.docs.forEach((doc) => batch.update(doc.ref, { revokedAt, revokedReason: reason }));
+  await batch.commit();
+
+  return sessionsQuery.size;
+};
+
+/**
+ * Verify an access token and check that its session is still active
+ * Throws token/... errors (see sessionTokens) plus token/revoked
+ * @returns {Promise<Object>} - { uid, email, sessionId, claims }
+ */
+const verifyAccessToken = async (token) => {
+  const verified = verifySessionToken(token);
+  const sessionId = verified.claims.sid;
+  if (!sessionId) {
+    throw tokenError('token/malformed', 'Token is not bound to a session');
+  }
+
+  const db = requireDb();
+  const snap = await db.collection(SESSIONS_COLLECTION).doc(sessionId).get();
+  if (!snap.exists || snap.data().revokedAt || snap.data().userId !== verified.uid) {
+    throw tokenError('token/revoked', 'Session has been revoked');
+  }
+
+  return { ...verified, sessionId };
+};
+
+module.exports = {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken,
+};
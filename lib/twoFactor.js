@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { initializeFirebase, getFirestore } = require('./firebase');
+const { generateSecret, verifyTotp, provisioningUri } = require('./totp');
+
+const TWO_FACTOR_COLLECTION = 'twoFactor';
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = process.env.TOTP_ISSUER || 'Mental Buddy';
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+// Codes look like "a1b2-c3d4"
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+
+const twoFactorError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const requireDb = () => {
+  const db = getFirestore();
+  if (!db) throw twoFactorError('2fa/unavailable', 'Database not available');
+  return db;
+};
+
+const twoFactorRef = (uid) => requireDb().collection(TWO_FACTOR_COLLECTION).doc(uid);
+
+/**
+ * Two-factor state for a user
+ * @returns {Promise<{ enabled: boolean, recoveryCodesRemaining: number, enabledAt: string|null }>}
+ */
+const getTwoFactorStatus = async (uid) => {
+  const snap = await twoFactorRef(uid).get();
+  const data = snap.exists ? snap.data() : {};
+  return {
+    enabled: data.enabled === true,
+    recoveryCodesRemaining: (data.recoveryCodeHashes || []).length,
+    enabledAt: data.enabledAt || null,
+  };
+};
+
+const isTwoFactorEnabled = async (uid) => (await getTwoFactorStatus(uid)).enabled;
+
+/**
+ * Start enrollment: store a pending secret until the user confirms a code
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ */
+const startEnrollment = async (uid, accountName) => {
+  const ref = twoFactorRef(uid);
+  const snap = await ref.get();
+  if (snap.exists && snap.data().enabled) {
+    throw twoFactorError('2fa/already-enabled', 'Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  await ref.set({ enabled: false, pendingSecret: secret, pendingSince: new Date().toISOString() });
+
+  return { secret, otpauthUrl: provisioningUri(secret, accountName, ISSUER) };
+};
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @returns {Promise<string[]>} - recovery codes (shown to the user once)
+ */
+const confirmEnrollment = async (uid, code) => {
+  const admin = initializeFirebase();
+  const ref = twoFactorRef(uid);
+  const snap = await ref.get();
+  const data = snap.exists ? snap.data() : {};
+
+  if (data.enabled) {
+    throw twoFactorError('2fa/already-enabled', 'Two-factor authentication is already enabled');
+  }
+  if (!data.pendingSecret) {
+    throw twoFactorError('2fa/not-enrolling', 'Start enrollment first');
+  }
+
+  const step = verifyTotp(data.pendingSecret, code);
+  if (step === null) throw twoFactorError('2fa/invalid-code', 'Invalid verification code');
+
+  const recoveryCodes = generateRecoveryCodes();
+  await ref.set({
+    enabled: true,
+    secret: data.pendingSecret,
+    recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode),
+    lastUsedStep: step,
+    enabledAt: new Date().toISOString(),
+  });
+
+  await requireDb().collection('users').doc(uid).set(
+    { twoFactorEnabled: true, updatedAt: admin.firestore.FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+
+  return recoveryCodes;
+};
+
+/**
+ * Check a TOTP code or a recovery code for an enrolled user
+ * TOTP codes can't be replayed; recovery codes are single-use
+ * @param {Object} proof - { code } or { recoveryCode }
+ * @returns {Promise<{ method: 'totp'|'recovery', recoveryCodesRemaining: number }>}
+ */
+const verifySecondFactor = async (uid, { code, recoveryCode }) => {
+  const db = requireDb();
+  const ref = twoFactorRef(uid);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const data = snap.exists ? snap.data() : {};
+    if (!data.enabled) throw twoFactorError('2fa/not-enabled', 'Two-factor authentication is not enabled');
+
+    const hashes = data.recoveryCodeHashes || [];
+
+    if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      if (!hashes.includes(hash)) throw twoFactorError('2fa/invalid-code', 'Invalid recovery code');
+
+      const remaining = hashes.filter((h) => h !== hash);
+      tx.update(ref, { recoveryCodeHashes: remaining });
+      return { method: 'recovery', recoveryCodesRemaining: remaining.length };
+    }
+
+    const step = verifyTotp(data.secret, code);
+    if (step === null || step <= (data.lastUsedStep || 0)) {
+      throw twoFactorError('2fa/invalid-code', 'Invalid verification code');
+    }
+
+    tx.update(ref, { lastUsedStep: step });
+    return { method: 'totp', recoveryCodesRemaining: hashes.length };
+  });
+};
+
+// Replace all recovery codes (after verifying a second factor)
+const regenerateRecoveryCodes = async (uid) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await twoFactorRef(uid).update({ recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode) });
+  return recoveryCodes;
+};
+
+const disableTwoFactor = async (uid) => {
+  const admin = initializeFirebase();
+  await twoFactorRef(uid).delete();
+  await requireDb().collection('users').doc(uid).set(
+    { twoFactorEnabled: false, updatedAt: admin.firestore.FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  isTwoFactorEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+};
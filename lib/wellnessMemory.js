@@ -0,0 +1,258 @@
+const { initializeFirebase, getFirestore } = require('./firebase');
+
+// What the AI "remembers" about a user: the bullet-point wellness summary on
+// users/{uid} (wellnessSummary, memoryVersion, memoryEnabled) and every
+// revision of it in memoryRevisions (doc id "<uid>_v<version>")
+const MEMORY_REVISIONS_COLLECTION = 'memoryRevisions';
+const MAX_BULLET_LENGTH = 300;
+
+// Why a revision was made
+const REVISION_SOURCES = ['chat', 'edit', 'delete', 'rollback'];
+
+const memoryError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const requireDb = () => {
+  const db = getFirestore();
+  if (!db) throw memoryError('memory/unavailable', 'Memory store not available');
+  return db;
+};
+
+const toIso = (value) => (value?.toDate ? value.toDate().toISOString() : value || null);
+
+const revisionId = (userId, version) => `${userId}_v${version}`;
+
+// Memory is on unless the user turned it off
+const isMemoryEnabled = (userData) => userData?.memoryEnabled !== false;
+
+/**
+ * Split a summary into bullet points. Lines starting with -, * or • are
+ * bullets; any other non-empty line counts as one too.
+ * @returns {string[]}
+ */
+const parseBullets = (summary) =>
+  (summary || '')
+    .split('\n')
+    .map((line) => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+    .filter(Boolean);
+
+const formatBullets = (bullets) => bullets.map((bullet) => `- ${bullet}`).join('\n');
+
+const serializeMemory = (userData = {}) => {
+  const summary = userData.wellnessSummary || '';
+  return {
+    enabled: isMemoryEnabled(userData),
+    version: userData.memoryVersion || 0,
+    summary,
+    bullets: parseBullets(summary).map((text, index) => ({ index, text })),
+    updatedAt: toIso(userData.lastSummaryUpdate),
+  };
+};
+
+const serializeRevision = (doc) => {
+  const data = doc.data();
+  return {
+    version: data.version,
+    summary: data.summary,
+    source: data.source,
+    sessionId: data.sessionId || null,
+    restoredVersion: data.restoredVersion || null,
+    createdAt: toIso(data.createdAt),
+  };
+};
+
+/**
+ * The user's current memory
+ * @returns {Promise<{ enabled: boolean, version: number, summary: string, bullets: Object[], updatedAt: string|null }>}
+ */
+const getMemory = async (userId) => {
+  const db = requireDb();
+  const userDoc = await db.collection('users').doc(userId).get();
+  return serializeMemory(userDoc.exists ? userDoc.data() : {});
+};
+
+/**
+ * Store a new memory revision and make it current, in one transaction
+ * @param {string} userId
+ * @param {Object} revision
+ * @param {string|function(string): string} revision.summary - new summary, or a function of the current one
+ * @param {string} revision.source - one of REVISION_SOURCES
+ * @param {string} [revision.sessionId] - chat session the summary was built from
+ * @param {number} [revision.restoredVersion] - for rollbacks
+ * @param {number} [revision.expectedVersion] - fail with memory/conflict if the memory changed since
+ * @returns {Promise<Object|null>} - the new memory, or null when memory is off
+ */
+const saveMemoryRevision = async (userId, { summary, source, sessionId, restoredVersion, expectedVersion }) => {
+  const admin = initializeFirebase();
+  const db = requireDb();
+  const userRef = db.collection('users').doc(userId);
+  if (expectedVersion !== undefined && !Number.isInteger(expectedVersion)) {
+    throw memoryError('memory/invalid', 'version must be an integer');
+  }
+
+  return db.runTransaction(async (tx) => {
+    const userDoc = await tx.get(userRef);
+    const userData = userDoc.exists ? userDoc.data() : {};
+    if (!isMemoryEnabled(userData)) return null;
+
+    const currentVersion = userData.memoryVersion || 0;
+    if (expectedVersion !== undefined && expectedVersion !== currentVersion) {
+      throw memoryError('memory/conflict', 'Memory changed since it was loaded');
+    }
+
+    const newSummary = typeof summary === 'function' ? summary(userData.wellnessSummary || '') : summary;
+    const version = currentVersion + 1;
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    tx.set(db.collection(MEMORY_REVISIONS_COLLECTION).doc(revisionId(userId, version)), {
+      userId,
+      version,
+      summary: newSummary,
+      source,
+      sessionId: sessionId || null,
+      restoredVersion: restoredVersion || null,
+      createdAt: now,
+    });
+    tx.set(userRef, { wellnessSummary: newSummary, memoryVersion: version, lastSummaryUpdate: now }, { merge: true });
+
+    return serializeMemory({ ...userData, wellnessSummary: newSummary, memoryVersion: version });
+  });
+};
+
+/**
+ * Revisions of the user's memory, newest first
+ * @returns {Promise<Object[]>} - [{ version, summary, source, sessionId, restoredVersion, createdAt }]
+ */
+const listMemoryRevisions = async (userId, { limit = 20 } = {}) => {
+  const db = requireDb();
+  const snapshot = await db.collection(MEMORY_REVISIONS_COLLECTION).where('userId', '==', userId).get();
+
+  return snapshot.docs
+    .map(serializeRevision)
+    .sort((a, b) => b.version - a.version)
+    .slice(0, limit);
+};
+
+// Edits to memory that is turned off would silently do nothing
+const requireEnabled = (memory) => {
+  if (!memory) throw memoryError('memory/disabled', 'Memory is turned off');
+  return memory;
+};
+
+// Change the bullet at index (null text removes it) as a new revision
+const changeBullet = (userId, index, text, { expectedVersion } = {}) => {
+  if (!Number.isInteger(index) || index < 0) {
+    throw memoryError('memory/invalid', 'Bullet index must be a non-negative integer');
+  }
+
+  return saveMemoryRevision(userId, {
+    source: text === null ? 'delete' : 'edit',
+    expectedVersion,
+    summary: (current) => {
+      const bullets = parseBullets(current);
+      if (index >= bullets.length) throw memoryError('memory/not-found', 'Memory bullet not found');
+      if (text === null) bullets.splice(index, 1);
+      else bullets[index] = text;
+      return formatBullets(bullets);
+    },
+  });
+};
+
+/**
+ * Replace the text of one bullet point
+ * @param {{ expectedVersion?: number }} [options] - see saveMemoryRevision
+ */
+const editMemoryBullet = async (userId, index, text, options) => {
+  const clean = typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : '';
+  if (!clean) throw memoryError('memory/invalid', 'Bullet text must be a non-empty string');
+  if (clean.length > MAX_BULLET_LENGTH) {
+    throw memoryError('memory/invalid', `Bullet text must be at most ${MAX_BULLET_LENGTH} characters`);
+  }
+  return requireEnabled(await changeBullet(userId, index, clean, options));
+};
+
+const deleteMemoryBullet = async (userId, index, options) =>
+  requireEnabled(await changeBullet(userId, index, null, options));
+
+/**
+ * Make an earlier version current again (stored as a new revision)
+ */
+const rollbackMemory = async (userId, version) => {
+  const db = requireDb();
+  if (!Number.isInteger(version) || version < 1) {
+    throw memoryError('memory/invalid', 'version must be a positive integer');
+  }
+
+  const revision = await db.collection(MEMORY_REVISIONS_COLLECTION).doc(revisionId(userId, version)).get();
+  if (!revision.exists || revision.data().userId !== userId) {
+    throw memoryError('memory/not-found', 'Memory version not found');
+  }
+
+  return requireEnabled(await saveMemoryRevision(userId, {
+    summary: revision.data().summary,
+    source: 'rollback',
+    restoredVersion: version,
+  }));
+};
+
+/**
+ * Turn memory on or off. While off, the summary is neither used in chat nor
+ * updated; what was stored is kept until clearMemory.
+ */
+const setMemoryEnabled = async (userId, enabled) => {
+  const admin = initializeFirebase();
+  const db = requireDb();
+  if (typeof enabled !== 'boolean') throw memoryError('memory/invalid', 'enabled must be a boolean');
+
+  await db.collection('users').doc(userId).set(
+    { memoryEnabled: enabled, updatedAt: admin.firestore.FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+  return getMemory(userId);
+};
+
+/**
+ * Erase the summary and all of its revisions
+ * @returns {Promise<number>} - revisions deleted
+ */
+const clearMemory = async (userId) => {
+  const admin = initializeFirebase();
+  const db = requireDb();
+
+  const revisions = await db.collection(MEMORY_REVISIONS_COLLECTION).where('userId', '==', userId).get();
+
+  // Firestore batches are limited to 500 writes
+  for (let i = 0; i < revisions.docs.length; i += 500) {
+    const batch = db.batch();
+    revisions.docs.slice(i, i + 500).forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+  }
+
+  await db.collection('users').doc(userId).set(
+    {
+      wellnessSummary: '',
+      memoryVersion: 0,
+      lastSummaryUpdate: admin.firestore.FieldValue.delete(),
+    },
+    { merge: true }
+  );
+  return revisions.size;
+};
+
+module.exports = {
+  MEMORY_REVISIONS_COLLECTION,
+  REVISION_SOURCES,
+  isMemoryEnabled,
+  parseBullets,
+  getMemory,
+  saveMemoryRevision,
+  listMemoryRevisions,
+  editMemoryBullet,
+  deleteMemoryBullet,
+  rollbackMemory,
+  setMemoryEnabled,
+  clearMemory,
+};
@@ -0,0 +1,225 @@
+const express = require('express');
+const router = express.Router();
+const { getFirestore, initializeFirebase } = require('../lib/firebase');
+const { ROLES, loadUserRoles, normalizeRoles, verifyToken, requireRole } = require('../lib/auth');
+const { LOCKOUT_EVENTS_COLLECTION, unlock } = require('../lib/authAttempts');
+const { SAFETY_INTERVENTIONS_COLLECTION, RULE_IDS } = require('../lib/replySafety');
+const { setUserPlan, getUsageTrends } = require('../lib/aiUsage');
+const { FEATURES } = require('../lib/llm');
+const { runNudgeJob } = require('../lib/nudges');
+
+const admin = initializeFirebase();
+
+// Every admin route requires an authenticated admin
+router.use(verifyToken, requireRole('admin'));
+
+// GET /users/:uid/roles - Get a user's roles
+router.get('/users/:uid/roles', async (req, res) => {
+  try {
+    const userRecord = await admin.auth().getUser(req.params.uid);
+    const roles = await loadUserRoles(userRecord);
+
+    res.json({ uid: userRecord.uid, email: userRecord.email, roles });
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    console.error('Error fetching user roles:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /users/:uid/roles - Replace a user's roles (custom claims + users doc)
+router.put('/users/:uid/roles', async (req, res) => {
+  try {
+    const db = getFirestore();
+    if (!db) {
+      return res.status(503).json({ error: 'Database not available. Please check Firebase configuration.' });
+    }
+
+    const { roles } = req.body;
+    if (!Array.isArray(roles) || roles.some(role => !ROLES.includes(role))) {
+      return res.status(400).json({ error: `Roles must be an array of: ${ROLES.join(', ')}` });
+    }
+
+    const { uid } = req.params;
+
+    // Don't let an admin lock everyone out by removing their own admin role
+    if (uid === req.user.uid && !roles.includes('admin')) {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
+
+    const userRecord = await admin.auth().getUser(uid);
+    const normalized = normalizeRoles(roles);
+
+    await admin.auth().setCustomUserClaims(uid, {
+      ...(userRecord.customClaims || {}),
+      roles: normalized,
+    });
+
+    await db.collection('users').doc(uid).set(
+      {
+        roles: normalized,
+        rolesUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        rolesUpdatedBy: req.user.uid,
+      },
+      { merge: true }
+    );
+
+    res.json({ message: 'Roles updated', uid, roles: normalized });
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    console.error('Error updating user roles:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// PUT /users/:uid/plan - Put a user on an AI usage plan, e.g. { "plan": "plus" } (config/aiPlans.json)
+router.put('/users/:uid/plan', async (req, res) => {
+  try {
+    const userRecord = await admin.auth().getUser(req.params.uid);
+    res.json(await setUserPlan(userRecord.uid, req.body?.plan, req.user.uid));
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (error.code === 'usage/invalid') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'usage/unavailable') {
+      return res.status(503).json({ error: 'Database not available. Please check Firebase configuration.' });
+    }
+    console.error('Error updating user plan:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /ai-usage - Requests, tokens and estimated cost per day, per feature and for
+// the heaviest users (?days=, default 30, max 365; ?userId= and ?feature= to narrow it)
+router.get('/ai-usage', async (req, res) => {
+  try {
+    const { userId, feature } = req.query;
+    if (feature && !FEATURES[feature]) {
+      return res.status(400).json({ error: `feature must be one of: ${Object.keys(FEATURES).join(', ')}` });
+    }
+
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    res.json(await getUsageTrends({ days, userId, feature }));
+  } catch (error) {
+    if (error.code === 'usage/unavailable') {
+      return res.status(503).json({ error: 'Database not available. Please check Firebase configuration.' });
+    }
+    console.error('Error fetching AI usage:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /lockouts - Review lockout events (?active=true for locks still in force)
+router.get('/lockouts', async (req, res) => {
+  try {
+    const db = getFirestore();
+    if (!db) {
+      return res.status(503).json({ error: 'Database not available. Please check Firebase configuration.' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const activeOnly = req.query.active === 'true';
+
+    const now = new Date();
+    // Locks last at most an hour, so the unexpired ones are few: fetch them all
+    // (single-field range, no composite index) and sort here
+    const snapshot = activeOnly
+      ? await db.collection(LOCKOUT_EVENTS_COLLECTION).where('lockedUntil', '>', now.toISOString()).get()
+      : await db.collection(LOCKOUT_EVENTS_COLLECTION).orderBy('createdAt', 'desc').limit(limit).get();
+
+    const events = snapshot.docs
+      .map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        createdAt: doc.data().createdAt?.toDate().toISOString() || null,
+        active: !doc.data().unlockedAt && new Date(doc.data().lockedUntil) > now,
+      }))
+      .filter(event => !activeOnly || event.active)
+      .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''))
+      .slice(0, limit);
+
+    res.json({ events, count: events.length });
+  } catch (error) {
+    console.error('Error fetching lockout events:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /lockouts/unlock - Clear a lock: { email } for an account or { ip } for an address
+router.post('/lockouts/unlock', async (req, res) => {
+  try {
+    const { email, ip } = req.body;
+    if (!email && !ip) {
+      return res.status(400).json({ error: 'Email or IP is required' });
+    }
+
+    const resolvedEvents = email
+      ? await unlock('account', email, req.user.uid)
+      : await unlock('ip', ip, req.user.uid);
+
+    res.json({ message: 'Unlocked', resolvedEvents });
+  } catch (error) {
+    console.error('Error unlocking:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /safety-interventions - Review replies that were regenerated or replaced
+// (?rule= one of the reply safety rules, ?action=regenerated|substituted)
+router.get('/safety-interventions', async (req, res) => {
+  try {
+    const db = getFirestore();
+    if (!db) {
+      return res.status(503).json({ error: 'Database not available. Please check Firebase configuration.' });
+    }
+
+    const { rule, action } = req.query;
+    if (rule && !RULE_IDS.includes(rule)) {
+      return res.status(400).json({ error: `rule must be one of: ${RULE_IDS.join(', ')}` });
+    }
+    if (action && !['regenerated', 'substituted'].includes(action)) {
+      return res.status(400).json({ error: 'action must be regenerated or substituted' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    // Filter before the limit, so a narrow filter still fills the page
+    let query = db.collection(SAFETY_INTERVENTIONS_COLLECTION);
+    if (rule) query = query.where('rules', 'array-contains', rule);
+    if (action) query = query.where('action', '==', action);
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+
+    const interventions = snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data(),
+      createdAt: doc.data().createdAt?.toDate().toISOString() || null,
+    }));
+
+    res.json({ interventions, count: interventions.length });
+  } catch (error) {
+    console.error('Error fetching safety interventions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /nudges/run - Run the check-in nudge job now ({ "dryRun": true } to only
+// report who would be nudged)
+router.post('/nudges/run', async (req, res) => {
+  try {
+    res.json(await runNudgeJob({ dryRun: req.body?.dryRun === true }));
+  } catch (error) {
+    if (error.code === 'nudge/unavailable') {
+      return res.status(503).json({ error: 'Database not available. Please check Firebase configuration.' });
+    }
+    console.error('Error running nudge job:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
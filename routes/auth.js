@@ -1,74 +1,178 @@
 const express = require("express");
 const router = express.Router();
-const { initializeFirebase, getFirestore } = require("../lib/firebase");
+const { initializeFirebase, getFirestore, migrateGuestConversations } = require("../lib/firebase");
+const { createSession, refreshSession, revokeSession, revokeAllSessions } = require("../lib/sessions");
+const { verifyToken } = require("../lib/auth");
+const { getCredentialVerifier } = require("../lib/credentials");
+const { createActionToken, inspectActionToken, consumeActionToken, invalidateActionTokens } = require("../lib/actionTokens");
+const { sendMail } = require("../lib/mailer");
+const {
+  guardAuthAttempts,
+  guardGuestTokens,
+  guardMailRequests,
+  recordFailure,
+  recordSuccess,
+} = require("../lib/authAttempts");
+const { issueChallengeToken, issueGuestToken, verifyGuestToken } = require("../lib/sessionTokens");
+const { isTwoFactorEnabled } = require("../lib/twoFactor");
+const { verifyGoogleIdToken } = require("../lib/googleIdToken");
+const { validatePassword, validateNewPassword, recordPasswordHistory } = require("../lib/passwordPolicy");
+const { parseCountryCode } = require("../lib/helplines");
+const { validateNudgePreferences } = require("../lib/nudges");
 
 const admin = initializeFirebase();
 const db = getFirestore();
 
-// hi changes
-// Password validation helper
-const validatePassword = (password) => {
-  const errors = [];
-  
-  if (password.length < 8) {
-    errors.push("Password must be at least 8 characters long");
-  }
-  if (!/[A-Z]/.test(password)) {
-    errors.push("Password must contain at least one uppercase letter");
-  }
-  if (!/[a-z]/.test(password)) {
-    errors.push("Password must contain at least one lowercase letter");
-  }
-  if (!/[0-9]/.test(password)) {
-    errors.push("Password must contain at least one number");
-  }
-  if (!/[!@#$%^&*(),.?":{}|<>]/.test(password)) {
-    errors.push("Password must contain at least one special character");
+// Firebase auth error codes -> client responses (shared by signup and signin)
+const AUTH_ERROR_RESPONSES = {
+  "auth/email-already-exists": [400, "Email already exists"],
+  "auth/invalid-email": [400, "Invalid email"],
+  "auth/weak-password": [400, "Weak password"],
+  "auth/missing-password": [400, "Password is required"],
+  "auth/user-not-found": [401, "User not found"],
+  "auth/wrong-password": [401, "Invalid email or password"],
+  "auth/invalid-credential": [401, "Invalid email or password"],
+  "auth/user-disabled": [403, "User account is disabled"],
+  "auth/too-many-requests": [429, "Too many attempts. Please try again later"],
+  "google/invalid-token": [401, "Invalid Google ID token"],
+  "google/expired": [401, "Google ID token expired"],
+  "google/unverified-email": [400, "Google account email is not verified"],
+  "google/not-configured": [503, "Google sign-in is not configured"],
+};
+
+// Errors caused by bad input (as opposed to server faults) count towards lockout
+const CLIENT_AUTH_ERRORS = [
+  "auth/email-already-exists",
+  "auth/invalid-email",
+  "auth/weak-password",
+  "auth/missing-password",
+  "auth/user-not-found",
+  "auth/wrong-password",
+  "auth/invalid-credential",
+  "google/invalid-token",
+];
+
+const sendAuthError = (res, error, fallbackMessage) => {
+  const mapped = AUTH_ERROR_RESPONSES[error.code];
+  if (mapped) {
+    const [status, message] = mapped;
+    return res.status(status).json({ error: message, code: error.code });
   }
-  
-  return {
-    isValid: errors.length === 0,
-    errors
+  res.status(500).json({ error: fallbackMessage });
+};
+
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+
+// Links in emails point at the frontend, which posts the token back to us
+const appUrl = (pathname, token) => {
+  const base = process.env.APP_URL || process.env.CORS_ORIGIN || "http://localhost:3000";
+  return `${base.replace(/\/$/, "")}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+const sendVerificationEmail = async (userRecord) => {
+  await invalidateActionTokens(userRecord.uid, "verify-email");
+  const token = await createActionToken(userRecord.uid, "verify-email", EMAIL_VERIFICATION_TTL, {
+    email: userRecord.email,
+  });
+  const link = appUrl("/verify-email", token);
+
+  await sendMail({
+    to: userRecord.email,
+    subject: "Verify your Mental Buddy email",
+    text: `Hi ${userRecord.displayName || "there"},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${userRecord.displayName || "there"},</p><p>Please confirm your email address:</p><p><a href="${link}">Verify email</a></p><p>The link expires in 24 hours.</p>`,
+  });
+};
+
+const sendPasswordResetEmail = async (userRecord) => {
+  await invalidateActionTokens(userRecord.uid, "reset-password");
+  const token = await createActionToken(userRecord.uid, "reset-password", PASSWORD_RESET_TTL);
+  const link = appUrl("/reset-password", token);
+
+  await sendMail({
+    to: userRecord.email,
+    subject: "Reset your Mental Buddy password",
+    text: `Someone asked to reset the password for this account. If it was you, open this link:\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+    html: `<p>Someone asked to reset the password for this account. If it was you:</p><p><a href="${link}">Reset password</a></p><p>The link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`,
+  });
+};
+
+// Action token errors -> client responses
+const sendActionTokenError = (res, error, fallbackMessage) => {
+  const messages = {
+    "action/invalid": "Invalid or unknown link",
+    "action/expired": "This link has expired. Please request a new one",
+    "action/used": "This link has already been used",
   };
+  if (messages[error.code]) {
+    return res.status(400).json({ error: messages[error.code], code: error.code });
+  }
+  res.status(500).json({ error: fallbackMessage });
 };
 
-// Middleware: Verify session token
-const verifyToken = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split("Bearer ")[1];
-    if (!token) return res.status(401).json({ error: "No token provided" });
+// Firestore profile for a new account (shared by email and Google signup)
+const createUserProfile = async (userRecord, { name, emailVerified = false }) => {
+  await db.collection("users").doc(userRecord.uid).set({
+    uid: userRecord.uid,
+    email: userRecord.email,
+    name,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    emailVerified,
+    preferences: { notifications: true, theme: "light" },
+  });
+};
 
-    // Decode token
-    const decoded = Buffer.from(token, "base64").toString("utf-8");
-    const [uid, timestamp] = decoded.split(":");
+// Carry over chats from the guest session a user signed up from
+const migrateGuest = async (guestToken, uid) => {
+  if (!guestToken) return 0;
+  try {
+    const { guestId } = verifyGuestToken(guestToken);
+    return await migrateGuestConversations(guestId, uid);
+  } catch (migrationError) {
+    console.error("Guest conversation migration skipped:", migrationError.code || migrationError.message);
+    return 0;
+  }
+};
 
-    if (!uid) throw new Error("Invalid token format");
+// Finish a first-factor sign-in: a session, or a 2FA challenge for enrolled users.
+// Failure counts are kept until the challenge passes so the first step can't be
+// used to reset code guessing.
+const completeSignIn = async (req, res, userRecord, extra = {}) => {
+  if (userRecord.disabled) {
+    const error = new Error("User account is disabled");
+    error.code = "auth/user-disabled";
+    throw error;
+  }
 
-    // Check expiry (24h)
-    const tokenAge = Date.now() - parseInt(timestamp);
-    if (tokenAge > 24 * 60 * 60 * 1000) {
-      throw new Error("Token expired");
-    }
+  if (await isTwoFactorEnabled(userRecord.uid)) {
+    return res.json({
+      message: "Two-factor verification required",
+      twoFactorRequired: true,
+      challengeToken: issueChallengeToken(userRecord),
+      ...extra,
+    });
+  }
 
-    const userRecord = await admin.auth().getUser(uid);
+  await recordSuccess({ email: userRecord.email });
+  const tokens = await createSession(userRecord, req);
 
-    req.user = {
+  res.json({
+    message: "Sign in successful",
+    ...tokens,
+    ...extra,
+    user: {
       uid: userRecord.uid,
       email: userRecord.email,
       name: userRecord.displayName,
-    };
-
-    next();
-  } catch (err) {
-    console.error("Token verification error:", err);
-    res.status(401).json({ error: "Invalid token" });
-  }
+    },
+  });
 };
 
 // Create user
-router.post("/signup", async (req, res) => {
+router.post("/signup", guardAuthAttempts({ account: false }), async (req, res) => {
   try {
-    const { email, password, name } = req.body;
+    const { email, password, name, guestToken } = req.body;
 
     if (!email || !password || !name) {
       return res.status(400).json({ error: "Email, password, and name required" });
@@ -89,19 +193,30 @@ router.post("/signup", async (req, res) => {
       displayName: name,
     });
 
-    await db.collection("users").doc(userRecord.uid).set({
-      uid: userRecord.uid,
-      email,
-      name,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      preferences: { notifications: true, theme: "light" },
-    });
+    // Keep the local verifier in sync (no-op when Firebase Auth checks passwords)
+    await getCredentialVerifier().recordPassword(userRecord.uid, password);
+    await recordPasswordHistory(userRecord.uid, password);
+
+    await createUserProfile(userRecord, { name });
+
+    // Don't fail signup if the mail transport is down; the user can resend later
+    let emailVerificationSent = true;
+    try {
+      await sendVerificationEmail(userRecord);
+    } catch (mailError) {
+      emailVerificationSent = false;
+      console.error("Error sending verification email:", mailError);
+    }
+
+    const migratedConversations = await migrateGuest(guestToken, userRecord.uid);
 
-    const sessionToken = Buffer.from(`${userRecord.uid}:${Date.now()}`).toString("base64");
+    const tokens = await createSession(userRecord, req);
 
     res.json({
       message: "User created successfully",
-      sessionToken,
+      ...tokens,
+      emailVerificationSent,
+      migratedConversations,
       user: {
         uid: userRecord.uid,
         email: userRecord.email,
@@ -110,47 +225,360 @@ router.post("/signup", async (req, res) => {
     });
   } catch (error) {
     console.error("Error creating user:", error);
-    if (error.code === "auth/email-already-exists") {
-      res.status(400).json({ error: "Email already exists" });
-    } else if (error.code === "auth/invalid-email") {
-      res.status(400).json({ error: "Invalid email" });
-    } else if (error.code === "auth/weak-password") {
-      res.status(400).json({ error: "Weak password" });
-    } else {
-      res.status(500).json({ error: "Failed to create user" });
+    if (CLIENT_AUTH_ERRORS.includes(error.code)) {
+      await recordFailure({ ip: req.ip }, "signup").catch((err) =>
+        console.error("Error recording signup failure:", err)
+      );
     }
+    sendAuthError(res, error, "Failed to create user");
+  }
+});
+
+// Guest token for chatting without an account (short-lived, chat only, limited per IP)
+router.post("/guest", guardGuestTokens, (req, res) => {
+  try {
+    res.json({
+      message: "Guest session started",
+      ...issueGuestToken(),
+    });
+  } catch (error) {
+    console.error("Error issuing guest token:", error);
+    res.status(500).json({ error: "Failed to start guest session" });
   }
 });
 
 // Sign in
-router.post("/signin", async (req, res) => {
+router.post("/signin", guardAuthAttempts(), async (req, res) => {
   try {
-    const { email } = req.body;
-    if (!email) return res.status(400).json({ error: "Email is required" });
+    const { email, password } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ error: "Email and password are required" });
+    }
+
+    // Check the password before issuing a session
+    const { uid } = await getCredentialVerifier().verifyPassword(email, password);
+    const userRecord = await admin.auth().getUser(uid);
+
+    await completeSignIn(req, res, userRecord);
+  } catch (error) {
+    console.error("Error signing in user:", error.code || error.message);
+    if (CLIENT_AUTH_ERRORS.includes(error.code)) {
+      await recordFailure({ ip: req.ip, email: req.body.email }, "signin").catch((err) =>
+        console.error("Error recording signin failure:", err)
+      );
+    }
+    sendAuthError(res, error, "Failed to sign in");
+  }
+});
+
+// Find a Firebase user by provider uid, or null
+const findUserByProvider = async (providerId, providerUid) => {
+  try {
+    return await admin.auth().getUserByProviderUid(providerId, providerUid);
+  } catch (error) {
+    if (error.code === "auth/user-not-found") return null;
+    throw error;
+  }
+};
+
+const googleProviderInfo = (google) => ({
+  providerId: "google.com",
+  uid: google.sub,
+  email: google.email,
+  displayName: google.name || undefined,
+  photoURL: google.picture || undefined,
+});
+
+// Sign in (or sign up) with a Google ID token
+router.post("/google", guardAuthAttempts({ account: false }), async (req, res) => {
+  try {
+    const { idToken, guestToken } = req.body;
+    if (!idToken) return res.status(400).json({ error: "Google ID token is required" });
+
+    const google = await verifyGoogleIdToken(idToken);
+
+    let userRecord = await findUserByProvider("google.com", google.sub);
+    let isNewUser = false;
+    let migratedConversations = 0;
+
+    if (!userRecord) {
+      try {
+        userRecord = await admin.auth().getUserByEmail(google.email);
+      } catch (lookupError) {
+        if (lookupError.code !== "auth/user-not-found") throw lookupError;
+      }
+
+      if (userRecord) {
+        // Don't attach Google to an unverified account: whoever registered it
+        // may not own the address (account pre-hijacking)
+        if (!userRecord.emailVerified) {
+          return res.status(409).json({
+            error: "An account with this email exists but is not verified",
+            message: "Sign in with your password and link Google from your account settings",
+          });
+        }
+        userRecord = await admin.auth().updateUser(userRecord.uid, {
+          providerToLink: googleProviderInfo(google),
+        });
+      } else {
+        userRecord = await admin.auth().createUser({
+          email: google.email,
+          emailVerified: true,
+          displayName: google.name || google.email.split("@")[0],
+          photoURL: google.picture || undefined,
+        });
+        userRecord = await admin.auth().updateUser(userRecord.uid, {
+          providerToLink: googleProviderInfo(google),
+        });
+        await createUserProfile(userRecord, { name: userRecord.displayName, emailVerified: true });
+        migratedConversations = await migrateGuest(guestToken, userRecord.uid);
+        isNewUser = true;
+      }
+    }
+
+    await completeSignIn(req, res, userRecord, { isNewUser, migratedConversations });
+  } catch (error) {
+    console.error("Error signing in with Google:", error.code || error.message);
+    if (CLIENT_AUTH_ERRORS.includes(error.code)) {
+      await recordFailure({ ip: req.ip }, "google").catch((err) =>
+        console.error("Error recording Google sign-in failure:", err)
+      );
+    }
+    sendAuthError(res, error, "Failed to sign in with Google");
+  }
+});
+
+// List the sign-in methods linked to the account
+router.get("/providers", verifyToken, async (req, res) => {
+  try {
+    const userRecord = await admin.auth().getUser(req.user.uid);
+    res.json({
+      providers: userRecord.providerData.map((provider) => ({
+        providerId: provider.providerId,
+        email: provider.email || null,
+        displayName: provider.displayName || null,
+      })),
+    });
+  } catch (error) {
+    console.error("Error listing providers:", error);
+    res.status(500).json({ error: "Failed to list sign-in methods" });
+  }
+});
+
+// Link a Google account to the signed-in user
+router.post("/providers/google", verifyToken, async (req, res) => {
+  try {
+    const { idToken } = req.body;
+    if (!idToken) return res.status(400).json({ error: "Google ID token is required" });
+
+    const google = await verifyGoogleIdToken(idToken);
+
+    const existing = await findUserByProvider("google.com", google.sub);
+    if (existing && existing.uid !== req.user.uid) {
+      return res.status(409).json({ error: "This Google account is linked to another user" });
+    }
+    if (existing) {
+      return res.json({ message: "Google account already linked" });
+    }
 
-    const userRecord = await admin.auth().getUserByEmail(email);
+    await admin.auth().updateUser(req.user.uid, { providerToLink: googleProviderInfo(google) });
+    res.json({ message: "Google account linked" });
+  } catch (error) {
+    console.error("Error linking Google account:", error.code || error.message);
+    if (error.code === "auth/provider-already-linked") {
+      return res.status(409).json({ error: "A Google account is already linked" });
+    }
+    sendAuthError(res, error, "Failed to link Google account");
+  }
+});
+
+// Unlink a sign-in method (e.g. google.com); the last one can't be removed
+router.delete("/providers/:providerId", verifyToken, async (req, res) => {
+  try {
+    const { providerId } = req.params;
+    const userRecord = await admin.auth().getUser(req.user.uid);
+    const linked = userRecord.providerData.map((provider) => provider.providerId);
+
+    if (!linked.includes(providerId)) {
+      return res.status(404).json({ error: "Sign-in method not linked" });
+    }
+    if (linked.length === 1) {
+      return res.status(400).json({ error: "You can't remove your only sign-in method" });
+    }
+
+    await admin.auth().updateUser(req.user.uid, { providersToUnlink: [providerId] });
+    res.json({ message: "Sign-in method unlinked", providerId });
+  } catch (error) {
+    console.error("Error unlinking provider:", error);
+    res.status(500).json({ error: "Failed to unlink sign-in method" });
+  }
+});
+
+// Exchange a refresh token for a new access token (the refresh token rotates)
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ error: "Refresh token is required" });
 
-    const sessionToken = Buffer.from(`${userRecord.uid}:${Date.now()}`).toString("base64");
+    const { user, ...tokens } = await refreshSession(refreshToken);
 
     res.json({
-      message: "Sign in successful",
-      sessionToken,
+      message: "Session refreshed",
+      ...tokens,
       user: {
-        uid: userRecord.uid,
-        email: userRecord.email,
-        name: userRecord.displayName,
+        uid: user.uid,
+        email: user.email,
+        name: user.displayName,
       },
     });
   } catch (error) {
-    console.error("Error signing in user:", error);
+    console.error("Error refreshing session:", error.code || error.message);
+    if (error.code && error.code.startsWith("session/") && error.code !== "session/unavailable") {
+      return res.status(401).json({ error: "Invalid refresh token", reason: error.code.slice("session/".length) });
+    }
     if (error.code === "auth/user-not-found") {
-      res.status(401).json({ error: "User not found" });
-    } else {
-      res.status(500).json({ error: "Failed to sign in" });
+      return res.status(401).json({ error: "User not found" });
+    }
+    if (error.code === "auth/user-disabled") {
+      return res.status(403).json({ error: "User account is disabled" });
     }
+    res.status(500).json({ error: "Failed to refresh session" });
+  }
+});
+
+// Sign out of the current session
+router.post("/signout", verifyToken, async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId);
+    res.json({ message: "Signed out" });
+  } catch (error) {
+    console.error("Error signing out:", error);
+    res.status(500).json({ error: "Failed to sign out" });
   }
 });
 
+// Sign out of every session (all devices)
+router.post("/signout-all", verifyToken, async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user.uid);
+    res.json({ message: "Signed out of all sessions", revokedCount });
+  } catch (error) {
+    console.error("Error signing out of all sessions:", error);
+    res.status(500).json({ error: "Failed to sign out" });
+  }
+});
+
+// Confirm an email address with the token from the verification email
+router.post("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ error: "Verification token is required" });
+
+    const { userId, data } = await consumeActionToken(token, "verify-email");
+
+    // The address may have changed since the link was sent
+    const userRecord = await admin.auth().getUser(userId);
+    if (data.email && data.email !== userRecord.email) {
+      return res.status(400).json({ error: "This link was sent to a different email address" });
+    }
+
+    await admin.auth().updateUser(userId, { emailVerified: true });
+    await db.collection("users").doc(userId).set(
+      {
+        emailVerified: true,
+        emailVerifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+
+    res.json({ message: "Email verified" });
+  } catch (error) {
+    console.error("Error verifying email:", error.code || error.message);
+    sendActionTokenError(res, error, "Failed to verify email");
+  }
+});
+
+// Send a fresh verification email to the signed-in user
+router.post("/verify-email/resend", verifyToken, guardMailRequests, async (req, res) => {
+  try {
+    const userRecord = await admin.auth().getUser(req.user.uid);
+    if (userRecord.emailVerified) {
+      return res.json({ message: "Email already verified" });
+    }
+
+    await sendVerificationEmail(userRecord);
+    res.json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("Error resending verification email:", error);
+    res.status(500).json({ error: "Failed to send verification email" });
+  }
+});
+
+// Start a password reset. Always answers the same way so it can't be used
+// to find out which emails have accounts.
+router.post("/forgot-password", guardMailRequests, async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ error: "Email is required" });
+
+    try {
+      const userRecord = await admin.auth().getUserByEmail(email);
+      await sendPasswordResetEmail(userRecord);
+    } catch (lookupError) {
+      if (lookupError.code !== "auth/user-not-found" && lookupError.code !== "auth/invalid-email") {
+        throw lookupError;
+      }
+    }
+
+    res.json({ message: "If an account exists for that email, a reset link has been sent" });
+  } catch (error) {
+    console.error("Error starting password reset:", error);
+    res.status(500).json({ error: "Failed to start password reset" });
+  }
+});
+
+// Set a new password with the token from the reset email
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) {
+      return res.status(400).json({ error: "Reset token and new password are required" });
+    }
+
+    // Check the password (including reuse) before using up the link, so a
+    // rejected choice doesn't burn it
+    const { userId: tokenUserId } = await inspectActionToken(token, "reset-password");
+    const passwordValidation = await validateNewPassword(tokenUserId, newPassword);
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({
+        error: "Password does not meet requirements",
+        details: passwordValidation.errors
+      });
+    }
+
+    const { userId } = await consumeActionToken(token, "reset-password");
+
+    // The link proves control of the inbox, so the email counts as verified too
+    await admin.auth().updateUser(userId, { password: newPassword, emailVerified: true });
+    await getCredentialVerifier().recordPassword(userId, newPassword);
+    await recordPasswordHistory(userId, newPassword);
+
+    // Every existing session ends
+    const revokedSessions = await revokeAllSessions(userId, "password-reset");
+
+    res.json({
+      message: "Password has been reset",
+      notice: "Please sign in with your new password",
+      revokedSessions,
+    });
+  } catch (error) {
+    console.error("Error resetting password:", error.code || error.message);
+    if (error.code === "auth/weak-password") {
+      return res.status(400).json({ error: "Weak password" });
+    }
+    sendActionTokenError(res, error, "Failed to reset password");
+  }
+});
 
 // Profile routes
 router.get("/profile", verifyToken, async (req, res) => {
@@ -164,11 +592,39 @@ router.get("/profile", verifyToken, async (req, res) => {
   }
 });
 
+// Profile fields a user may change (same as PUT /api/user/profile)
+const PROFILE_FIELDS = ["name", "bio", "avatarUrl", "preferences"];
+
 router.put("/profile", verifyToken, async (req, res) => {
   try {
+    // Only the fields /api/user/profile accepts; everything else on users/{uid} is server-owned
+    const profileUpdates = Object.fromEntries(
+      PROFILE_FIELDS.filter((field) => req.body?.[field] !== undefined).map((field) => [field, req.body[field]])
+    );
+    if (Object.keys(profileUpdates).length === 0) {
+      return res.status(400).json({ error: "No valid fields to update" });
+    }
+    if (profileUpdates.preferences !== undefined
+      && (typeof profileUpdates.preferences !== "object" || profileUpdates.preferences === null)) {
+      return res.status(400).json({ error: "preferences must be an object" });
+    }
+
+    if (profileUpdates.preferences?.country != null) {
+      const country = parseCountryCode(profileUpdates.preferences.country);
+      if (!country) {
+        return res.status(400).json({ error: "preferences.country must be a two-letter country code" });
+      }
+      profileUpdates.preferences.country = country;
+    }
+
+    const nudgePreferencesError = validateNudgePreferences(profileUpdates.preferences);
+    if (nudgePreferencesError) {
+      return res.status(400).json({ error: nudgePreferencesError });
+    }
+
     await db.collection("users").doc(req.user.uid).set(
       {
-        ...req.body,
+        ...profileUpdates,
         updatedAt: new Date().toISOString(),
       },
       { merge: true }
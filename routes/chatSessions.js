@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+const { verifyTokenOrGuest } = require('../lib/auth');
+const {
+  createChatSession,
+  listChatSessions,
+  getChatSession,
+  renameChatSession,
+  markChatSessionRead,
+  deleteChatSession,
+} = require('../lib/chatSessions');
+const { searchChatHistory, exportChatHistory, toMarkdown } = require('../lib/chatHistory');
+
+// Chat session error codes -> client responses
+const CHAT_ERROR_RESPONSES = {
+  'chat/not-found': [404, 'Chat session not found'],
+  'chat/invalid': [400, null],
+  'chat/unavailable': [503, 'Database not available. Please check Firebase configuration.'],
+};
+
+const sendChatError = (res, error, fallbackMessage) => {
+  const mapped = CHAT_ERROR_RESPONSES[error.code];
+  if (mapped) {
+    const [status, message] = mapped;
+    return res.status(status).json({ error: message || error.message, code: error.code });
+  }
+  res.status(500).json({ error: fallbackMessage });
+};
+
+// Guests can keep sessions too; they move to the account on signup
+router.use(verifyTokenOrGuest);
+
+// POST / - Start a session ({ title } optional; otherwise taken from the first message)
+router.post('/', async (req, res) => {
+  try {
+    const session = await createChatSession(req.user.uid, { title: req.body?.title });
+    res.status(201).json(session);
+  } catch (error) {
+    console.error('Error creating chat session:', error.code || error.message);
+    sendChatError(res, error, 'Failed to create chat session');
+  }
+});
+
+// GET / - The user's sessions, most recent first (?limit=, default 50, max 100)
+// Pass the returned nextCursor as ?cursor= for the next page
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    res.json(await listChatSessions(req.user.uid, { limit, cursor: req.query.cursor }));
+  } catch (error) {
+    console.error('Error listing chat sessions:', error.code || error.message);
+    sendChatError(res, error, 'Failed to list chat sessions');
+  }
+});
+
+// GET /search?q= - Keyword search across plaintext messages and titles (?limit=, default 20, max 50)
+router.get('/search', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    res.json(await searchChatHistory(req.user.uid, req.query.q, { limit }));
+  } catch (error) {
+    console.error('Error searching chat history:', error.code || error.message);
+    sendChatError(res, error, 'Failed to search chat history');
+  }
+});
+
+const EXPORT_FORMATS = ['markdown', 'json'];
+
+// Send an export as a download in the requested format (?format=markdown|json, default json)
+const sendExport = async (req, res, options) => {
+  const format = req.query.format || 'json';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  const history = await exportChatHistory(req.user.uid, options);
+  const filename = `chat-history-${history.exportedAt.slice(0, 10)}`;
+
+  if (format === 'markdown') {
+    res.set('Content-Disposition', `attachment; filename="${filename}.md"`);
+    return res.type('text/markdown').send(toMarkdown(history));
+  }
+  res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+  res.json(history);
+};
+
+// GET /export - Export sessions with messages between ?startDate= and ?endDate=
+// (YYYY-MM-DD or ISO; everything when both are omitted)
+router.get('/export', async (req, res) => {
+  try {
+    await sendExport(req, res, { startDate: req.query.startDate, endDate: req.query.endDate });
+  } catch (error) {
+    console.error('Error exporting chat history:', error.code || error.message);
+    sendChatError(res, error, 'Failed to export chat history');
+  }
+});
+
+// GET /:sessionId/export - Export one session
+router.get('/:sessionId/export', async (req, res) => {
+  try {
+    await sendExport(req, res, { sessionId: req.params.sessionId });
+  } catch (error) {
+    console.error('Error exporting chat session:', error.code || error.message);
+    sendChatError(res, error, 'Failed to export chat session');
+  }
+});
+
+// GET /:sessionId - A session with its messages
+router.get('/:sessionId', async (req, res) => {
+  try {
+    res.json(await getChatSession(req.user.uid, req.params.sessionId));
+  } catch (error) {
+    console.error('Error fetching chat session:', error.code || error.message);
+    sendChatError(res, error, 'Failed to fetch chat session');
+  }
+});
+
+// PATCH /:sessionId - Rename ({ title })
+router.patch('/:sessionId', async (req, res) => {
+  try {
+    res.json(await renameChatSession(req.user.uid, req.params.sessionId, req.body?.title));
+  } catch (error) {
+    console.error('Error renaming chat session:', error.code || error.message);
+    sendChatError(res, error, 'Failed to rename chat session');
+  }
+});
+
+// POST /:sessionId/read - Mark a session the companion started as read
+router.post('/:sessionId/read', async (req, res) => {
+  try {
+    res.json(await markChatSessionRead(req.user.uid, req.params.sessionId));
+  } catch (error) {
+    console.error('Error marking chat session read:', error.code || error.message);
+    sendChatError(res, error, 'Failed to mark chat session read');
+  }
+});
+
+// DELETE /:sessionId
+router.delete('/:sessionId', async (req, res) => {
+  try {
+    await deleteChatSession(req.user.uid, req.params.sessionId);
+    res.json({ message: 'Chat session deleted', sessionId: req.params.sessionId });
+  } catch (error) {
+    console.error('Error deleting chat session:', error.code || error.message);
+    sendChatError(res, error, 'Failed to delete chat session');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../lib/auth');
+const {
+  createCheckIn,
+  listCheckIns,
+  getCheckIn,
+  deleteCheckIn,
+  getCheckInTrends,
+} = require('../lib/deepCheckIns');
+
+// Check-in error codes -> client responses
+const CHECK_IN_ERROR_RESPONSES = {
+  'checkin/not-found': [404, 'Check-in not found'],
+  'checkin/invalid': [400, null],
+  'checkin/unavailable': [503, 'Database not available. Please check Firebase configuration.'],
+};
+
+const sendCheckInError = (res, error, fallbackMessage) => {
+  const mapped = CHECK_IN_ERROR_RESPONSES[error.code];
+  if (mapped) {
+    const [status, message] = mapped;
+    return res.status(status).json({ error: message || error.message, code: error.code });
+  }
+  res.status(500).json({ error: fallbackMessage });
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+router.use(verifyToken);
+
+// POST / - Save a Deep Check-In ({ entries: [{ phrase, emotion, confidence? }], sessionId? })
+router.post('/', async (req, res) => {
+  try {
+    const checkIn = await createCheckIn(req.user.uid, {
+      entries: req.body?.entries,
+      sessionId: req.body?.sessionId,
+    });
+    res.status(201).json(checkIn);
+  } catch (error) {
+    console.error('Error saving check-in:', error.code || error.message);
+    sendCheckInError(res, error, 'Failed to save check-in');
+  }
+});
+
+// GET / - Check-ins, newest first (?limit=, default 30, max 100; ?startDate= / ?endDate= as YYYY-MM-DD)
+router.get('/', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    if ((startDate && !DATE_PATTERN.test(startDate)) || (endDate && !DATE_PATTERN.test(endDate))) {
+      return res.status(400).json({ error: 'startDate and endDate must be YYYY-MM-DD' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+    res.json({ checkIns: await listCheckIns(req.user.uid, { limit, startDate, endDate }) });
+  } catch (error) {
+    console.error('Error listing check-ins:', error.code || error.message);
+    sendCheckInError(res, error, 'Failed to list check-ins');
+  }
+});
+
+// GET /trends - Weekly dominant emotion, variability and valence (?weeks=, default 8, max 52)
+router.get('/trends', async (req, res) => {
+  try {
+    const weeks = Math.min(Math.max(parseInt(req.query.weeks) || 8, 1), 52);
+    res.json({ weeks: await getCheckInTrends(req.user.uid, { weeks }) });
+  } catch (error) {
+    console.error('Error fetching check-in trends:', error.code || error.message);
+    sendCheckInError(res, error, 'Failed to fetch check-in trends');
+  }
+});
+
+// GET /:checkInId - One check-in with its emotion timeline
+router.get('/:checkInId', async (req, res) => {
+  try {
+    res.json(await getCheckIn(req.user.uid, req.params.checkInId));
+  } catch (error) {
+    console.error('Error fetching check-in:', error.code || error.message);
+    sendCheckInError(res, error, 'Failed to fetch check-in');
+  }
+});
+
+// DELETE /:checkInId
+router.delete('/:checkInId', async (req, res) => {
+  try {
+    await deleteCheckIn(req.user.uid, req.params.checkInId);
+    res.json({ message: 'Check-in deleted', checkInId: req.params.checkInId });
+  } catch (error) {
+    console.error('Error deleting check-in:', error.code || error.message);
+    sendCheckInError(res, error, 'Failed to delete check-in');
+  }
+});
+
+module.exports = router;
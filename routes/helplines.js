@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { verifyTokenOrGuest } = require('../lib/auth');
+const { getHelplines, helplinesForRequest, listCountries, parseCountryCode } = require('../lib/helplines');
+
+// GET / - Helplines for the current user (profile country, Accept-Language, default)
+// ?country=GB looks up a specific country instead
+router.get('/', verifyTokenOrGuest, async (req, res) => {
+  try {
+    if (req.query.country !== undefined) {
+      const countryCode = parseCountryCode(req.query.country);
+      if (!countryCode) {
+        return res.status(400).json({ error: 'country must be a two-letter country code' });
+      }
+      return res.json({ ...getHelplines(countryCode), source: 'query' });
+    }
+
+    res.json(await helplinesForRequest(req));
+  } catch (error) {
+    console.error('Error fetching helplines:', error);
+    res.status(500).json({ error: 'Failed to fetch helplines' });
+  }
+});
+
+// GET /countries - Countries with helplines in the registry
+router.get('/countries', (req, res) => {
+  res.json({ countries: listCountries() });
+});
+
+module.exports = router;
@@ -1,69 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { getFirestore, initializeFirebase } = require('../lib/firebase');
+const { verifyToken } = require('../lib/auth');
+const { generateText, isLLMConfigured, parseJsonResponse } = require('../lib/llm');
+const { checkQuota, quotaExceededBody } = require('../lib/aiUsage');
 
 const admin = initializeFirebase();
 
-// Initialize Gemini AI (only if API key is available)
-let genAI = null;
-if (process.env.GEMINI_API_KEY) {
-  genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-}
-  
-// Middleware to verify session token (copied from mood.js pattern)
-const verifyToken = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split('Bearer ')[1];
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
-
-    try {
-      // Decode the session token
-      const decoded = Buffer.from(token, 'base64').toString('utf-8');
-      const [uid, timestamp] = decoded.split(':');
-      
-      if (!uid) {
-        console.error('Invalid token format: missing UID');
-        return res.status(401).json({ error: 'Invalid token format' });
-      }
-
-      // Token age check (24 hours)
-      const tokenAge = Date.now() - parseInt(timestamp);
-      if (tokenAge > 24 * 60 * 60 * 1000) {
-        console.error('Token expired. Age:', tokenAge / (1000 * 60 * 60), 'hours');
-        return res.status(401).json({ error: 'Token expired' });
-      }
-
-      // Verify user exists in Firebase Auth
-      const userRecord = await admin.auth().getUser(uid);
-
-      req.user = {
-        uid: userRecord.uid,
-        email: userRecord.email,
-        name: userRecord.displayName,
-      };
-
-      next();
-    } catch (decodeError) {
-      // Handle specific Firebase Auth errors
-      if (decodeError.code === 'auth/user-not-found') {
-        console.error('User not found in Firebase Auth. UID:', decodeError.message);
-        return res.status(401).json({ 
-          error: 'User not found',
-          message: 'Please sign in again to create a new session'
-        });
-      }
-      
-      console.error('Token decode error:', decodeError.code || decodeError.message);
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-  } catch (error) {
-    console.error('Token verification error:', error);
-    return res.status(401).json({ error: 'Invalid token' });
-  }
-};
 
 // POST / - Create a new journal entry
 router.post('/', verifyToken, async (req, res) => {
@@ -288,7 +231,7 @@ router.get('/test-auth', verifyToken, async (req, res) => {
   });
 });
 
-// GET /prompts - AI Integration: Generate personalized reflection questions using Gemini
+// GET /prompts - AI Integration: Generate personalized reflection questions using the configured LLM
 // This endpoint queries the moodEntries collection (cross-collection query) to get context
 router.get('/prompts', verifyToken, async (req, res) => {
   try {
@@ -315,9 +258,9 @@ router.get('/prompts', verifyToken, async (req, res) => {
       moodContext = `Latest Mood: ${moodScore}/10\nDate: ${latestMood.date}\nNotes: ${note}\nEnergy: ${latestMood.energy || 'N/A'}\nStress: ${latestMood.stress || 'N/A'}\nSleep: ${latestMood.sleep || 'N/A'} hours`;
     }
 
-    // Check if Gemini AI is available
-    if (!genAI) {
-      console.warn('Gemini API not configured. Returning generic prompts.');
+    // Check if a model is configured for journal prompts
+    if (!isLLMConfigured('journalPrompts')) {
+      console.warn('LLM not configured for journal prompts. Returning generic prompts.');
       return res.json({
         prompts: [
           "What emotions are you feeling most strongly right now?",
@@ -331,9 +274,23 @@ router.get('/prompts', verifyToken, async (req, res) => {
       });
     }
 
-    // Use Gemini to generate personalized reflection prompts based on mood data
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+    // Over the daily quota: general prompts instead of generated ones
+    const quota = await checkQuota(req.user, 'journalPrompts');
+    if (!quota.allowed) {
+      return res.json({
+        prompts: [
+          "What emotions are you feeling most strongly right now?",
+          "What's one thing that brought you peace or comfort recently?",
+          "If you could tell your future self something about today, what would it be?"
+        ],
+        moodScore: moodScore,
+        moodContext: moodContext,
+        generated: false,
+        quota: quotaExceededBody(quota),
+      });
+    }
 
+    // Generate personalized reflection prompts based on mood data
     const prompt = `You are a compassionate mental wellness journal assistant. Based on the user's recent mood data, generate 3 thoughtful, personalized reflection questions that would help them explore their feelings deeper.
 
 USER'S RECENT MOOD DATA:
@@ -351,26 +308,20 @@ REQUIREMENTS:
 Return ONLY a JSON array of 3 strings (the questions), nothing else.
 Example format: ["Question 1?", "Question 2?", "Question 3?"]`;
 
-    const result = await model.generateContent({
-      contents: [{ role: "user", parts: [{ text: prompt }] }],
-      generationConfig: {
-        temperature: 0.8,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 300,
-      },
+    const { text: responseText } = await generateText('journalPrompts', {
+      prompt,
+      temperature: 0.8,
+      topK: 40,
+      topP: 0.95,
+      maxOutputTokens: 300,
+      userId: req.user.uid,
     });
 
-    let responseText = result.response.text().trim();
-
-    // Clean up response (remove markdown code blocks if present)
-    responseText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-
     let questions;
     try {
-      questions = JSON.parse(responseText);
+      questions = parseJsonResponse(responseText);
     } catch (parseError) {
-      console.error('Failed to parse Gemini response as JSON:', responseText);
+      console.error('Failed to parse LLM response as JSON:', responseText);
       // Fallback to generic questions
       questions = [
         "What emotions are you feeling most strongly right now?",
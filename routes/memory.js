@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../lib/auth');
+const {
+  getMemory,
+  listMemoryRevisions,
+  editMemoryBullet,
+  deleteMemoryBullet,
+  rollbackMemory,
+  setMemoryEnabled,
+  clearMemory,
+} = require('../lib/wellnessMemory');
+
+// Memory error codes -> client responses
+const MEMORY_ERROR_RESPONSES = {
+  'memory/not-found': [404, null],
+  'memory/invalid': [400, null],
+  'memory/conflict': [409, 'Your memory changed since it was loaded. Reload and try again.'],
+  'memory/disabled': [409, 'Memory is turned off. Turn it on to edit it.'],
+  'memory/unavailable': [503, 'Database not available. Please check Firebase configuration.'],
+};
+
+const sendMemoryError = (res, error, fallbackMessage) => {
+  const mapped = MEMORY_ERROR_RESPONSES[error.code];
+  if (mapped) {
+    const [status, message] = mapped;
+    return res.status(status).json({ error: message || error.message, code: error.code });
+  }
+  res.status(500).json({ error: fallbackMessage });
+};
+
+// Optional version the client last saw; edits fail with 409 if memory changed since
+const expectedVersion = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const version = Number(value);
+  return Number.isInteger(version) ? version : NaN;
+};
+
+// Guests have no memory: it is only kept for accounts
+router.use(verifyToken);
+
+// GET / - Current memory: { enabled, version, summary, bullets: [{ index, text }], updatedAt }
+router.get('/', async (req, res) => {
+  try {
+    res.json(await getMemory(req.user.uid));
+  } catch (error) {
+    console.error('Error fetching memory:', error.code || error.message);
+    sendMemoryError(res, error, 'Failed to fetch memory');
+  }
+});
+
+// GET /history - Revisions, newest first, each with its source and chat session (?limit=, default 20, max 100)
+router.get('/history', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    res.json({ revisions: await listMemoryRevisions(req.user.uid, { limit }) });
+  } catch (error) {
+    console.error('Error fetching memory history:', error.code || error.message);
+    sendMemoryError(res, error, 'Failed to fetch memory history');
+  }
+});
+
+// PATCH /bullets/:index - Rewrite a bullet ({ text, version? })
+router.patch('/bullets/:index', async (req, res) => {
+  try {
+    const memory = await editMemoryBullet(req.user.uid, Number(req.params.index), req.body?.text, {
+      expectedVersion: expectedVersion(req.body?.version),
+    });
+    res.json(memory);
+  } catch (error) {
+    console.error('Error editing memory:', error.code || error.message);
+    sendMemoryError(res, error, 'Failed to edit memory');
+  }
+});
+
+// DELETE /bullets/:index - Forget a bullet (?version= optional)
+router.delete('/bullets/:index', async (req, res) => {
+  try {
+    const memory = await deleteMemoryBullet(req.user.uid, Number(req.params.index), {
+      expectedVersion: expectedVersion(req.query.version),
+    });
+    res.json(memory);
+  } catch (error) {
+    console.error('Error deleting memory bullet:', error.code || error.message);
+    sendMemoryError(res, error, 'Failed to delete memory bullet');
+  }
+});
+
+// POST /rollback - Restore an earlier version ({ version }); saved as a new revision
+router.post('/rollback', async (req, res) => {
+  try {
+    res.json(await rollbackMemory(req.user.uid, req.body?.version));
+  } catch (error) {
+    console.error('Error rolling back memory:', error.code || error.message);
+    sendMemoryError(res, error, 'Failed to roll back memory');
+  }
+});
+
+// PUT /settings - Turn memory on or off ({ enabled })
+router.put('/settings', async (req, res) => {
+  try {
+    res.json(await setMemoryEnabled(req.user.uid, req.body?.enabled));
+  } catch (error) {
+    console.error('Error updating memory settings:', error.code || error.message);
+    sendMemoryError(res, error, 'Failed to update memory settings');
+  }
+});
+
+// DELETE / - Erase the memory and its history
+router.delete('/', async (req, res) => {
+  try {
+    const deletedCount = await clearMemory(req.user.uid);
+    res.json({ message: 'Memory erased', deletedCount });
+  } catch (error) {
+    console.error('Error erasing memory:', error.code || error.message);
+    sendMemoryError(res, error, 'Failed to erase memory');
+  }
+});
+
+module.exports = router;
@@ -1,48 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { getFirestore, initializeFirebase } = require('../lib/firebase');
+const { verifyToken } = require('../lib/auth');
+const { linkCheckInsToMoodEntry } = require('../lib/deepCheckIns');
 
 const admin = initializeFirebase();
 
-// Middleware to verify session token
-const verifyToken = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split('Bearer ')[1];
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
-
-    try {
-      // Decode the session token
-      const decoded = Buffer.from(token, 'base64').toString('utf-8');
-      const [uid, timestamp] = decoded.split(':');
-      if (!uid) throw new Error('Invalid token format');
-
-      // Token age check (24 hours)
-      const tokenAge = Date.now() - parseInt(timestamp);
-      if (tokenAge > 24 * 60 * 60 * 1000) {
-        throw new Error('Token expired');
-      }
-
-      const userRecord = await admin.auth().getUser(uid);
-
-      req.user = {
-        uid: userRecord.uid,
-        email: userRecord.email,
-        name: userRecord.displayName,
-      };
-
-      next();
-    } catch (decodeError) {
-      console.error('Token decode error:', decodeError);
-      res.status(401).json({ error: 'Invalid token' });
-    }
-  } catch (error) {
-    console.error('Token verification error:', error);
-    res.status(401).json({ error: 'Invalid token' });
-  }
-};
-
 // Log a mood entry
 router.post('/log', verifyToken, async (req, res) => {
   try {
@@ -84,6 +47,17 @@ router.post('/log', verifyToken, async (req, res) => {
 
       const docRef = await db.collection('moodEntries').add(moodEntry);
       moodEntry.id = docRef.id;
+
+      // Deep Check-Ins done earlier today belong to this entry
+      try {
+        const checkInIds = await linkCheckInsToMoodEntry(req.user.uid, date, docRef.id);
+        if (checkInIds.length > 0) {
+          await docRef.update({ deepCheckInIds: checkInIds });
+          moodEntry.deepCheckInIds = checkInIds;
+        }
+      } catch (linkError) {
+        console.error('Error linking check-ins to mood entry:', linkError.code || linkError.message);
+      }
     } else {
       // Update existing entry
       const existingDoc = todayQuery.docs[0];
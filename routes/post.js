@@ -1,23 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const { getFirestore, initializeFirebase } = require('../lib/firebase');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { verifyToken, hasRole } = require('../lib/auth');
+const { generateText, parseJsonResponse } = require('../lib/llm');
 
 const admin = initializeFirebase();
 
-// Initialize Gemini AI for content moderation
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
 /**
  * AI Content Moderation Function
  * Checks for sexual, offensive, harmful, or inappropriate content
  * @param {string} content - The text to moderate
+ * @param {string} [userId] - author, for AI usage accounting
  * @returns {Promise<Object>} - { safe: boolean, reason: string, flaggedContent: string }
  */
-const moderateContent = async (content) => {
+const moderateContent = async (content, userId) => {
   try {
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-
     const moderationPrompt = `You are a content moderation AI for a mental health support community. Analyze the following text and determine if it contains:
 
 1. Sexual content or explicit material
@@ -44,26 +41,19 @@ RESPOND IN THIS EXACT JSON FORMAT (no other text):
   "flaggedContent": "the specific problematic phrase/word, or empty string if safe"
 }`;
 
-    const result = await model.generateContent({
-      contents: [{ role: "user", parts: [{ text: moderationPrompt }] }],
-      generationConfig: {
-        temperature: 0.1, // Low temperature for consistent moderation
-        maxOutputTokens: 200,
-      },
+    const { text: responseText } = await generateText('moderation', {
+      prompt: moderationPrompt,
+      temperature: 0.1, // Low temperature for consistent moderation
+      maxOutputTokens: 200,
+      userId,
     });
 
-    const response = await result.response;
-    let responseText = response.text().trim();
-
-    // Remove markdown code blocks if present
-    responseText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-
     console.log('🔍 AI Moderation raw response:', responseText);
 
     // Parse JSON response with error handling
     let moderationResult;
     try {
-      moderationResult = JSON.parse(responseText);
+      moderationResult = parseJsonResponse(responseText);
     } catch (parseError) {
       console.error('❌ Failed to parse moderation response:', parseError.message);
       console.error('Raw response was:', responseText);
@@ -96,44 +86,8 @@ RESPOND IN THIS EXACT JSON FORMAT (no other text):
   }
 };
 
-/* -------------------------------
-   TOKEN VERIFICATION (same as mood.js)
--------------------------------- */
-const verifyToken = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split('Bearer ')[1];
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
-
-    try {
-      const decoded = Buffer.from(token, 'base64').toString('utf-8');
-      const [uid, timestamp] = decoded.split(':');
-      if (!uid) throw new Error('Invalid token format');
-
-      const tokenAge = Date.now() - parseInt(timestamp);
-      if (tokenAge > 24 * 60 * 60 * 1000) {
-        throw new Error('Token expired');
-      }
-
-      const userRecord = await admin.auth().getUser(uid);
-
-      req.user = {
-        uid: userRecord.uid,
-        email: userRecord.email,
-        name: userRecord.displayName,
-      };
-
-      next();
-    } catch (decodeError) {
-      console.error('Token decode error:', decodeError);
-      res.status(401).json({ error: 'Invalid token' });
-    }
-  } catch (error) {
-    console.error('Token verification error:', error);
-    res.status(401).json({ error: 'Invalid token' });
-  }
-};
+// Moderators and admins can remove any post, comment or reply
+const isModerator = (user) => hasRole(user, 'moderator', 'admin');
 
 /* -------------------------------
       GET ALL POSTS
@@ -208,7 +162,7 @@ router.post('/', verifyToken, async (req, res) => {
     // AI Content Moderation
     let moderationResult;
     try {
-      moderationResult = await moderateContent(contentToCheck);
+      moderationResult = await moderateContent(contentToCheck, req.user.uid);
       
       if (!moderationResult.safe) {
         return res.status(400).json({
@@ -293,7 +247,7 @@ router.post('/:id/comment', verifyToken, async (req, res) => {
     // AI Content Moderation for comments (with error handling)
     let moderationResult;
     try {
-      moderationResult = await moderateContent(replyText.trim());
+      moderationResult = await moderateContent(replyText.trim(), req.user.uid);
       
       if (!moderationResult.safe) {
         return res.status(400).json({
@@ -367,10 +321,12 @@ router.delete('/:postId/comment/:commentId', verifyToken, async (req, res) => {
     const postData = snap.data();
     const comments = postData.comments || [];
 
-    // Check if user owns the comment
+    // Check if user owns the comment (moderators and admins may remove any comment)
     const comment = comments.find(c => c.id === commentId);
     if (!comment) return res.status(404).json({ error: 'Comment not found' });
-    if (comment.userId !== req.user.uid) return res.status(403).json({ error: 'Not your comment.' });
+    if (comment.userId !== req.user.uid && !isModerator(req.user)) {
+      return res.status(403).json({ error: 'Not your comment.' });
+    }
 
     // Remove the comment
     const updatedComments = comments.filter(c => c.id !== commentId);
@@ -403,7 +359,7 @@ router.delete('/:postId/comment/:commentId/reply/:replyId', verifyToken, async (
     const updatedComments = comments.map(c => {
       if (c.id === commentId) {
         const reply = c.replies?.find(r => r.id === replyId);
-        if (reply && reply.userId !== req.user.uid) {
+        if (reply && reply.userId !== req.user.uid && !isModerator(req.user)) {
           throw new Error('Not your reply.');
         }
         if (reply) replyFound = true;
@@ -437,8 +393,8 @@ router.delete('/:id', verifyToken, async (req, res) => {
     const snap = await postRef.get();
     if (!snap.exists) return res.status(404).json({ error: 'Post not found' });
 
-    // Only allow owner to delete
-    if (snap.data().userId !== req.user.uid) {
+    // Only allow owner (or a moderator/admin) to delete
+    if (snap.data().userId !== req.user.uid && !isModerator(req.user)) {
       return res.status(403).json({ error: 'Not your post.' });
     }
 
@@ -0,0 +1,175 @@
+const express = require('express');
+const router = express.Router();
+const { initializeFirebase } = require('../lib/firebase');
+const { verifyToken } = require('../lib/auth');
+const { createSession } = require('../lib/sessions');
+const { verifyChallengeToken, tokenErrorResponse } = require('../lib/sessionTokens');
+const { checkLock, recordFailure, recordSuccess } = require('../lib/authAttempts');
+const {
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} = require('../lib/twoFactor');
+
+const admin = initializeFirebase();
+
+// Two-factor error codes -> client responses
+const TWO_FACTOR_ERROR_RESPONSES = {
+  '2fa/invalid-code': [401, 'Invalid verification code'],
+  '2fa/already-enabled': [409, 'Two-factor authentication is already enabled'],
+  '2fa/not-enrolling': [400, 'Start enrollment first'],
+  '2fa/not-enabled': [400, 'Two-factor authentication is not enabled'],
+  '2fa/unavailable': [503, 'Database not available. Please check Firebase configuration.'],
+  'auth/user-disabled': [403, 'User account is disabled'],
+};
+
+const sendTwoFactorError = (res, error, fallbackMessage) => {
+  const mapped = TWO_FACTOR_ERROR_RESPONSES[error.code];
+  if (mapped) {
+    const [status, message] = mapped;
+    return res.status(status).json({ error: message, code: error.code });
+  }
+  res.status(500).json({ error: fallbackMessage });
+};
+
+// GET /status - Whether 2FA is on and how many recovery codes are left
+router.get('/status', verifyToken, async (req, res) => {
+  try {
+    res.json(await getTwoFactorStatus(req.user.uid));
+  } catch (error) {
+    console.error('Error fetching 2FA status:', error);
+    sendTwoFactorError(res, error, 'Failed to fetch two-factor status');
+  }
+});
+
+// POST /enroll - Create a secret; the client shows otpauthUrl as a QR code
+router.post('/enroll', verifyToken, async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await startEnrollment(req.user.uid, req.user.email);
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl,
+    });
+  } catch (error) {
+    console.error('Error starting 2FA enrollment:', error.code || error.message);
+    sendTwoFactorError(res, error, 'Failed to start two-factor enrollment');
+  }
+});
+
+// POST /confirm - Confirm enrollment with a code; returns recovery codes once
+router.post('/confirm', verifyToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ error: 'Verification code is required' });
+
+    const recoveryCodes = await confirmEnrollment(req.user.uid, code);
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+      notice: 'Store these recovery codes somewhere safe. Each can be used once.',
+    });
+  } catch (error) {
+    console.error('Error confirming 2FA enrollment:', error.code || error.message);
+    sendTwoFactorError(res, error, 'Failed to confirm two-factor enrollment');
+  }
+});
+
+// POST /recovery-codes - Replace recovery codes (requires a current code)
+router.post('/recovery-codes', verifyToken, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'Verification code or recovery code is required' });
+    }
+
+    await verifySecondFactor(req.user.uid, { code, recoveryCode });
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.uid);
+
+    res.json({ message: 'Recovery codes regenerated', recoveryCodes });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error.code || error.message);
+    sendTwoFactorError(res, error, 'Failed to regenerate recovery codes');
+  }
+});
+
+// POST /disable - Turn 2FA off (requires a current code or a recovery code)
+router.post('/disable', verifyToken, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'Verification code or recovery code is required' });
+    }
+
+    await verifySecondFactor(req.user.uid, { code, recoveryCode });
+    await disableTwoFactor(req.user.uid);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Error disabling 2FA:', error.code || error.message);
+    sendTwoFactorError(res, error, 'Failed to disable two-factor authentication');
+  }
+});
+
+// POST /challenge - Second step of sign-in: exchange the challengeToken from
+// /api/auth/signin plus a code (or recovery code) for a session
+router.post('/challenge', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Challenge token and verification code are required' });
+    }
+
+    let challenge;
+    try {
+      challenge = verifyChallengeToken(challengeToken);
+    } catch (tokenError) {
+      return res.status(401).json(tokenErrorResponse(tokenError));
+    }
+
+    // Codes are guessable, so they share the sign-in lockout
+    const { locked, retryAfterSeconds } = await checkLock({ ip: req.ip, email: challenge.email });
+    if (locked) {
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too many failed attempts. Please try again later',
+        retryAfterSeconds,
+      });
+    }
+
+    let verification;
+    try {
+      verification = await verifySecondFactor(challenge.uid, { code, recoveryCode });
+    } catch (verifyError) {
+      if (verifyError.code === '2fa/invalid-code') {
+        await recordFailure({ ip: req.ip, email: challenge.email }, '2fa');
+      }
+      throw verifyError;
+    }
+    await recordSuccess({ email: challenge.email });
+
+    const userRecord = await admin.auth().getUser(challenge.uid);
+    const tokens = await createSession(userRecord, req);
+
+    res.json({
+      message: 'Sign in successful',
+      ...tokens,
+      user: {
+        uid: userRecord.uid,
+        email: userRecord.email,
+        name: userRecord.displayName,
+      },
+      recoveryCodesRemaining: verification.method === 'recovery'
+        ? verification.recoveryCodesRemaining
+        : undefined,
+    });
+  } catch (error) {
+    console.error('Error completing 2FA challenge:', error.code || error.message);
+    sendTwoFactorError(res, error, 'Failed to complete sign in');
+  }
+});
+
+module.exports = router;
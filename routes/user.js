@@ -1,63 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const { getFirestore, initializeFirebase } = require('../lib/firebase');
+const { revokeAllSessions } = require('../lib/sessions');
+const { verifyToken } = require('../lib/auth');
+const { getCredentialVerifier } = require('../lib/credentials');
+const { validateNewPassword, recordPasswordHistory } = require('../lib/passwordPolicy');
+const { checkLock, recordFailure, deleteAccountAttempts } = require('../lib/authAttempts');
+const { parseCountryCode } = require('../lib/helplines');
+const { getUsageSummary, USER_PLANS_COLLECTION } = require('../lib/aiUsage');
+const { validateNudgePreferences } = require('../lib/nudges');
+const { deleteChatSessions } = require('../lib/chatSessions');
 
 const admin = initializeFirebase();
 
-// Middleware to verify session token
-const verifyToken = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split('Bearer ')[1];
-    if (!token) {
-      return res.status(401).json({ error: 'No token provided' });
-    }
-
-    try {
-      // Decode the session token
-      const decoded = Buffer.from(token, 'base64').toString('utf-8');
-      const [uid, timestamp] = decoded.split(':');
-      
-      if (!uid) {
-        console.error('Invalid token format: missing UID');
-        return res.status(401).json({ error: 'Invalid token format' });
-      }
-
-      // Token age check (24 hours)
-      const tokenAge = Date.now() - parseInt(timestamp);
-      if (tokenAge > 24 * 60 * 60 * 1000) {
-        console.error('Token expired. Age:', tokenAge / (1000 * 60 * 60), 'hours');
-        return res.status(401).json({ error: 'Token expired' });
-      }
-
-      // Verify user exists in Firebase Auth
-      const userRecord = await admin.auth().getUser(uid);
-
-      req.user = {
-        uid: userRecord.uid,
-        email: userRecord.email,
-        name: userRecord.displayName,
-      };
-
-      next();
-    } catch (decodeError) {
-      // Handle specific Firebase Auth errors
-      if (decodeError.code === 'auth/user-not-found') {
-        console.error('User not found in Firebase Auth. UID:', decodeError.message);
-        return res.status(401).json({ 
-          error: 'User not found',
-          message: 'Please sign in again to create a new session'
-        });
-      }
-      
-      console.error('Token decode error:', decodeError.code || decodeError.message);
-      return res.status(401).json({ error: 'Invalid token' });
-    }
-  } catch (error) {
-    console.error('Token verification error:', error);
-    return res.status(401).json({ error: 'Invalid token' });
-  }
-};
-
 // PUT /profile - Update user profile (name, bio, details)
 router.put('/profile', verifyToken, async (req, res) => {
   try {
@@ -95,6 +50,19 @@ router.put('/profile', verifyToken, async (req, res) => {
     }
 
     if (preferences !== undefined && typeof preferences === 'object') {
+      // preferences.country picks crisis helplines; null clears it
+      if (preferences.country != null) {
+        const country = parseCountryCode(preferences.country);
+        if (!country) {
+          return res.status(400).json({ error: 'preferences.country must be a two-letter country code' });
+        }
+        preferences.country = country;
+      }
+      // quietHours { start, end } (HH:MM) and timezone pace check-in nudges
+      const nudgePreferencesError = validateNudgePreferences(preferences);
+      if (nudgePreferencesError) {
+        return res.status(400).json({ error: nudgePreferencesError });
+      }
       updates.preferences = preferences;
     }
 
@@ -140,19 +108,48 @@ router.put('/profile', verifyToken, async (req, res) => {
 // PUT /password - Update user password (Firebase Auth)
 router.put('/password', verifyToken, async (req, res) => {
   try {
-    const { newPassword } = req.body;
+    const { currentPassword, newPassword } = req.body;
 
-    // Validation
-    if (!newPassword || newPassword.length < 6) {
-      return res.status(400).json({ 
-        error: 'Password must be at least 6 characters long' 
-      });
+    if (!newPassword) {
+      return res.status(400).json({ error: 'New password is required' });
     }
 
-    // Additional password strength validation
-    if (newPassword.length > 128) {
-      return res.status(400).json({ 
-        error: 'Password must be less than 128 characters' 
+    // Accounts that already have a password must prove they know it
+    // (Google-only accounts are adding their first one)
+    const userRecord = await admin.auth().getUser(req.user.uid);
+    const hasPassword = userRecord.providerData.some(provider => provider.providerId === 'password');
+
+    if (hasPassword) {
+      if (!currentPassword) {
+        return res.status(400).json({ error: 'Current password is required' });
+      }
+
+      const { locked, retryAfterSeconds } = await checkLock({ ip: req.ip, email: req.user.email });
+      if (locked) {
+        res.set('Retry-After', String(retryAfterSeconds));
+        return res.status(429).json({
+          error: 'Too many failed attempts. Please try again later',
+          retryAfterSeconds,
+        });
+      }
+
+      try {
+        await getCredentialVerifier().verifyPassword(req.user.email, currentPassword);
+      } catch (verifyError) {
+        if (['auth/wrong-password', 'auth/invalid-credential'].includes(verifyError.code)) {
+          await recordFailure({ ip: req.ip, email: req.user.email }, 'password-change');
+          return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+        throw verifyError;
+      }
+    }
+
+    // Same policy as signup and reset, plus no reuse of recent passwords
+    const passwordValidation = await validateNewPassword(req.user.uid, newPassword);
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({
+        error: 'Password does not meet requirements',
+        details: passwordValidation.errors,
       });
     }
 
@@ -161,10 +158,16 @@ router.put('/password', verifyToken, async (req, res) => {
       await admin.auth().updateUser(req.user.uid, {
         password: newPassword,
       });
+      await getCredentialVerifier().recordPassword(req.user.uid, newPassword);
+      await recordPasswordHistory(req.user.uid, newPassword);
+
+      // End every session, including this one, so the new password is required
+      const revokedSessions = await revokeAllSessions(req.user.uid, 'password-change');
 
       res.json({
         message: 'Password updated successfully',
         notice: 'Please sign in again with your new password',
+        revokedSessions,
       });
     } catch (authError) {
       console.error('Firebase Auth password update error:', authError);
@@ -192,49 +195,19 @@ router.delete('/conversations', verifyToken, async (req, res) => {
       return res.status(503).json({ error: 'Database not available. Please check Firebase configuration.' });
     }
 
-    // Query all conversations for this user (correct collection name: chatConversations)
-    const conversationsQuery = await db.collection('chatConversations')
-      .where('userId', '==', req.user.uid)
-      .get();
+    // Sessions and their messages
+    const deletedCount = await deleteChatSessions(req.user.uid);
 
-    if (conversationsQuery.empty) {
+    if (deletedCount === 0) {
       return res.json({
         message: 'No chat history found',
         deletedCount: 0,
       });
     }
 
-    // Batch delete for efficiency (Firestore batch supports up to 500 operations)
-    const batchSize = 500;
-    const batches = [];
-    let currentBatch = db.batch();
-    let operationCount = 0;
-    let totalDeleted = 0;
-
-    conversationsQuery.docs.forEach((doc) => {
-      currentBatch.delete(doc.ref);
-      operationCount++;
-      totalDeleted++;
-
-      // If we've reached the batch size limit, save this batch and start a new one
-      if (operationCount >= batchSize) {
-        batches.push(currentBatch);
-        currentBatch = db.batch();
-        operationCount = 0;
-      }
-    });
-
-    // Add the last batch if it has operations
-    if (operationCount > 0) {
-      batches.push(currentBatch);
-    }
-
-    // Commit all batches
-    await Promise.all(batches.map(batch => batch.commit()));
-
     res.json({
       message: 'All chat history deleted successfully',
-      deletedCount: totalDeleted,
+      deletedCount,
     });
   } catch (error) {
     console.error('Error deleting conversations:', error);
@@ -321,16 +294,8 @@ router.delete('/account', verifyToken, async (req, res) => {
     // Step 1: Delete all user data from Firestore collections
     const deletionTasks = [];
 
-    // Delete conversations (correct collection name: chatConversations)
-    const conversationsQuery = await db.collection('chatConversations')
-      .where('userId', '==', req.user.uid)
-      .get();
-    
-    if (!conversationsQuery.empty) {
-      const conversationsBatch = db.batch();
-      conversationsQuery.docs.forEach(doc => conversationsBatch.delete(doc.ref));
-      deletionTasks.push(conversationsBatch.commit());
-    }
+    // Delete chat sessions and their messages
+    deletionTasks.push(deleteChatSessions(req.user.uid));
 
     // Delete journal entries
     const journalsQuery = await db.collection('journalEntries')
@@ -365,6 +330,105 @@ router.delete('/account', verifyToken, async (req, res) => {
       deletionTasks.push(activityBatch.commit());
     }
 
+    // Delete crisis events (matched crisis phrases and risk levels)
+    const crisisQuery = await db.collection('crisisEvents')
+      .where('userId', '==', req.user.uid)
+      .get();
+
+    if (!crisisQuery.empty) {
+      const crisisBatch = db.batch();
+      crisisQuery.docs.forEach(doc => crisisBatch.delete(doc.ref));
+      deletionTasks.push(crisisBatch.commit());
+    }
+
+    // Delete Deep Check-Ins
+    const checkInsQuery = await db.collection('deepCheckIns')
+      .where('userId', '==', req.user.uid)
+      .get();
+
+    if (!checkInsQuery.empty) {
+      const checkInsBatch = db.batch();
+      checkInsQuery.docs.forEach(doc => checkInsBatch.delete(doc.ref));
+      deletionTasks.push(checkInsBatch.commit());
+    }
+
+    // Delete memory revisions (wellness summary history)
+    const memoryQuery = await db.collection('memoryRevisions')
+      .where('userId', '==', req.user.uid)
+      .get();
+
+    if (!memoryQuery.empty) {
+      const memoryBatch = db.batch();
+      memoryQuery.docs.forEach(doc => memoryBatch.delete(doc.ref));
+      deletionTasks.push(memoryBatch.commit());
+    }
+
+    // Delete safety interventions (they keep the withheld replies)
+    const interventionsQuery = await db.collection('safetyInterventions')
+      .where('userId', '==', req.user.uid)
+      .get();
+
+    if (!interventionsQuery.empty) {
+      const interventionsBatch = db.batch();
+      interventionsQuery.docs.forEach(doc => interventionsBatch.delete(doc.ref));
+      deletionTasks.push(interventionsBatch.commit());
+    }
+
+    // Delete AI usage records
+    const usageQuery = await db.collection('aiUsage')
+      .where('userId', '==', req.user.uid)
+      .get();
+
+    if (!usageQuery.empty) {
+      const usageBatch = db.batch();
+      usageQuery.docs.forEach(doc => usageBatch.delete(doc.ref));
+      deletionTasks.push(usageBatch.commit());
+    }
+
+    // Delete check-in nudge records
+    const nudgesQuery = await db.collection('nudges')
+      .where('userId', '==', req.user.uid)
+      .get();
+
+    if (!nudgesQuery.empty) {
+      const nudgesBatch = db.batch();
+      nudgesQuery.docs.forEach(doc => nudgesBatch.delete(doc.ref));
+      deletionTasks.push(nudgesBatch.commit());
+    }
+
+    // Delete sessions (revokes every access and refresh token)
+    const sessionsQuery = await db.collection('sessions')
+      .where('userId', '==', req.user.uid)
+      .get();
+
+    if (!sessionsQuery.empty) {
+      const sessionsBatch = db.batch();
+      sessionsQuery.docs.forEach(doc => sessionsBatch.delete(doc.ref));
+      deletionTasks.push(sessionsBatch.commit());
+    }
+
+    // Delete email verification and password reset tokens
+    const actionTokensQuery = await db.collection('actionTokens')
+      .where('userId', '==', req.user.uid)
+      .get();
+
+    if (!actionTokensQuery.empty) {
+      const actionTokensBatch = db.batch();
+      actionTokensQuery.docs.forEach(doc => actionTokensBatch.delete(doc.ref));
+      deletionTasks.push(actionTokensBatch.commit());
+    }
+
+    // Delete two-factor secret, recovery codes and stored password hashes
+    deletionTasks.push(db.collection('twoFactor').doc(req.user.uid).delete());
+    deletionTasks.push(db.collection('passwordHistory').doc(req.user.uid).delete());
+    deletionTasks.push(getCredentialVerifier().deleteCredentials(req.user.uid));
+
+    // Delete the AI usage plan
+    deletionTasks.push(db.collection(USER_PLANS_COLLECTION).doc(req.user.uid).delete());
+
+    // Delete failed sign-in counts and lockout events for the email
+    deletionTasks.push(deleteAccountAttempts(req.user.email));
+
     // Delete user document
     deletionTasks.push(db.collection('users').doc(req.user.uid).delete());
 
@@ -429,4 +493,17 @@ router.get('/profile', verifyToken, async (req, res) => {
   }
 });
 
+// GET /usage - Today's AI usage against the user's plan limits
+router.get('/usage', verifyToken, async (req, res) => {
+  try {
+    res.json(await getUsageSummary(req.user));
+  } catch (error) {
+    if (error.code === 'usage/unavailable') {
+      return res.status(503).json({ error: 'Database not available. Please check Firebase configuration.' });
+    }
+    console.error('Error fetching AI usage:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const { initializeFirebase } = require('./lib/firebase');
+const { onUsage } = require('./lib/llm');
+const { recordUsage } = require('./lib/aiUsage');
+const { startNudgeScheduler } = require('./lib/nudges');
 
 // Load environment variables
 dotenv.config();
@@ -13,6 +16,16 @@ const PORT = process.env.PORT || 5000;
 // Initialize Firebase
 initializeFirebase();
 
+// Record every model call's tokens per user, feature and day (lib/aiUsage)
+onUsage(recordUsage);
+
+// Behind a load balancer/proxy, trust it so req.ip is the client's address
+// (used for sign-in attempt tracking). Set TRUST_PROXY to the hop count or a subnet.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
@@ -23,20 +36,32 @@ app.use(express.urlencoded({ extended: true }));
 
 // Routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const generateRoutes = require('./routes/generate');
+const chatSessionRoutes = require('./routes/chatSessions');
+const helplineRoutes = require('./routes/helplines');
+const memoryRoutes = require('./routes/memory');
+const checkInRoutes = require('./routes/checkIns');
 const moodRoutes = require('./routes/mood');
 const activityRoutes = require('./routes/activities');
 const journalRoutes = require('./routes/journal');
 const userRoutes = require('./routes/user');
 const postRoutes = require('./routes/post');
+const adminRoutes = require('./routes/admin');
 
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/generate', generateRoutes);
+app.use('/api/chat/sessions', chatSessionRoutes);
+app.use('/api/helplines', helplineRoutes);
+app.use('/api/memory', memoryRoutes);
+app.use('/api/checkins', checkInRoutes);
 app.use('/api/mood', moodRoutes);
 app.use('/api/activities', activityRoutes);
 app.use('/api/journal', journalRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/posts', postRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -61,11 +86,19 @@ app.listen(PORT, () => {
   console.log(`🚀 Mental Buddy Backend API running on port ${PORT}`);
   console.log(`📊 Health check: http://localhost:${PORT}/health`);
   console.log(`🤖 Generate endpoint: http://localhost:${PORT}/api/generate`);
+  console.log(`💬 Chat session endpoints: http://localhost:${PORT}/api/chat/sessions`);
+  console.log(`☎️ Helpline endpoints: http://localhost:${PORT}/api/helplines`);
+  console.log(`🧠 Memory endpoints: http://localhost:${PORT}/api/memory`);
+  console.log(`🪞 Deep Check-In endpoints: http://localhost:${PORT}/api/checkins`);
   console.log(`🔐 Auth endpoints: http://localhost:${PORT}/api/auth/*`);
   console.log(`😊 Mood endpoints: http://localhost:${PORT}/api/mood/*`);
   console.log(`📝 Journal endpoints: http://localhost:${PORT}/api/journal/*`);
   console.log(`👤 User endpoints: http://localhost:${PORT}/api/user/*`);
   console.log(`Community endpoints: http://localhost:${PORT}/api/posts/*`);
+  console.log(`🛠️ Admin endpoints: http://localhost:${PORT}/api/admin/*`);
+
+  // Proactive check-in nudges (lib/nudges), when NUDGE_INTERVAL_MINUTES is set
+  startNudgeScheduler();
 });
 
 module.exports = app;
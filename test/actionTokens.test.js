@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const { docs } = useMemoryFirestore();
+const {
+  createActionToken,
+  inspectActionToken,
+  consumeActionToken,
+  invalidateActionTokens,
+} = require('../lib/actionTokens');
+
+const HOUR = 60 * 60 * 1000;
+
+test('a token is used up by the first consume, not by inspecting it', async () => {
+  const token = await createActionToken('u1', 'reset-password', HOUR, { email: 'a@example.com' });
+  const [tokenId, secret] = token.split('.');
+  assert.notEqual(docs.get(`actionTokens/${tokenId}`).secretHash, secret);
+
+  assert.deepEqual(await inspectActionToken(token, 'reset-password'), { userId: 'u1', data: { email: 'a@example.com' } });
+  assert.deepEqual(await consumeActionToken(token, 'reset-password'), { userId: 'u1', data: { email: 'a@example.com' } });
+
+  await assert.rejects(consumeActionToken(token, 'reset-password'), { code: 'action/used' });
+  await assert.rejects(inspectActionToken(token, 'reset-password'), { code: 'action/used' });
+});
+
+test('expired tokens are refused', async () => {
+  const token = await createActionToken('u1', 'verify-email', -1000);
+  await assert.rejects(consumeActionToken(token, 'verify-email'), { code: 'action/expired' });
+});
+
+test('a token only works for its own purpose and with its own secret', async () => {
+  const token = await createActionToken('u1', 'verify-email', HOUR);
+  const [tokenId] = token.split('.');
+
+  await assert.rejects(consumeActionToken(token, 'reset-password'), { code: 'action/invalid' });
+  await assert.rejects(consumeActionToken(`${tokenId}.guessed`, 'verify-email'), { code: 'action/invalid' });
+  await assert.rejects(consumeActionToken('unknown.secret', 'verify-email'), { code: 'action/invalid' });
+  await assert.rejects(consumeActionToken('malformed', 'verify-email'), { code: 'action/invalid' });
+
+  // None of the failed attempts used it up
+  assert.equal((await consumeActionToken(token, 'verify-email')).userId, 'u1');
+});
+
+test('invalidating supersedes outstanding tokens of that purpose only', async () => {
+  const older = await createActionToken('u2', 'reset-password', HOUR);
+  const verify = await createActionToken('u2', 'verify-email', HOUR);
+  const otherUser = await createActionToken('u3', 'reset-password', HOUR);
+
+  await invalidateActionTokens('u2', 'reset-password');
+  const newer = await createActionToken('u2', 'reset-password', HOUR);
+
+  await assert.rejects(consumeActionToken(older, 'reset-password'), { code: 'action/used' });
+  assert.equal(docs.get(`actionTokens/${older.split('.')[0]}`).superseded, true);
+  assert.equal((await consumeActionToken(newer, 'reset-password')).userId, 'u2');
+  assert.equal((await consumeActionToken(verify, 'verify-email')).userId, 'u2');
+  assert.equal((await consumeActionToken(otherUser, 'reset-password')).userId, 'u3');
+});
@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryFirestore } = require('./helpers/memoryFirestore');
+
+process.env.SESSION_TOKEN_KEYS = 'k1:test-secret';
+const { docs, users } = useMemoryFirestore();
+const { createSession } = require('../lib/sessions');
+const { issueGuestToken, issueSessionToken } = require('../lib/sessionTokens');
+const { guardGuestTokens } = require('../lib/authAttempts');
+const {
+  normalizeRoles,
+  loadUserRoles,
+  verifyToken,
+  verifyTokenOrGuest,
+  hasRole,
+  requireRole,
+} = require('../lib/auth');
+
+// Run a middleware and report how it finished: next() or a JSON response
+const run = (middleware, req) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    set() {},
+    status(code) { this.statusCode = code; return this; },
+    json(body) { resolve({ status: this.statusCode, body }); return this; },
+  };
+  Promise.resolve(middleware(req, res, () => resolve({ next: true, req }))).catch(resolve);
+});
+
+test('roles are normalized to known names and always include user', () => {
+  assert.deepEqual(normalizeRoles(), ['user']);
+  assert.deepEqual(normalizeRoles('admin'), ['user', 'admin']);
+  assert.deepEqual(normalizeRoles(['moderator', 'root', 'user']), ['moderator', 'user']);
+});
+
+test('custom claims win over the users document', async () => {
+  docs.set('users/u1', { roles: ['clinician'] });
+
+  assert.deepEqual(await loadUserRoles({ uid: 'u1' }), ['user', 'clinician']);
+  assert.deepEqual(await loadUserRoles({ uid: 'u1', customClaims: { role: 'admin' } }), ['user', 'admin']);
+  assert.deepEqual(await loadUserRoles({ uid: 'nobody' }), ['user']);
+});
+
+test('requireRole lets through any one of the roles', async () => {
+  const adminOrModerator = requireRole('admin', 'moderator');
+
+  assert.equal((await run(adminOrModerator, { user: { roles: ['user', 'moderator'] } })).next, true);
+  assert.ok(hasRole({ roles: ['admin'] }, 'admin', 'clinician'));
+  assert.equal(hasRole(undefined, 'admin'), false);
+});
+
+test('requireRole answers 401 without a user and 403 without the role', async () => {
+  const adminOnly = requireRole('admin');
+
+  assert.deepEqual(await run(adminOnly, {}), { status: 401, body: { error: 'Authentication required' } });
+  assert.deepEqual(await run(adminOnly, { user: { roles: ['user', 'moderator'] } }), {
+    status: 403,
+    body: { error: 'Insufficient permissions', requiredRoles: ['admin'] },
+  });
+});
+
+test('requireRole refuses unknown role names when the route is defined', () => {
+  assert.throws(() => requireRole('admin', 'superuser'), /unknown role\(s\) superuser/);
+});
+
+test('verifyToken attaches the user\'s roles and turns away disabled accounts', async () => {
+  users.set('u2', { uid: 'u2', email: 'b@example.com', customClaims: { roles: ['admin'] } });
+  const { sessionToken, sessionId } = await createSession(users.get('u2'));
+  const req = { headers: { authorization: `Bearer ${sessionToken}` } };
+
+  const { next } = await run(verifyToken, req);
+  assert.equal(next, true);
+  assert.deepEqual(req.user, { uid: 'u2', email: 'b@example.com', name: undefined, sessionId, roles: ['user', 'admin'] });
+
+  users.set('u2', { ...users.get('u2'), disabled: true });
+  assert.deepEqual(await run(verifyToken, { headers: req.headers }), { status: 403, body: { error: 'User account is disabled' } });
+});
+
+test('guest tokens get a guest user on guest-enabled routes', async () => {
+  const { guestToken, guestId } = issueGuestToken();
+  const req = { headers: { authorization: `Bearer ${guestToken}` } };
+
+  assert.equal((await run(verifyTokenOrGuest, req)).next, true);
+  assert.deepEqual(req.user, { uid: guestId, email: null, name: null, guest: true, roles: [] });
+  assert.match(guestId, /^guest_[0-9a-f]{24}$/);
+});
+
+test('guest tokens are refused where an account is required', async () => {
+  const { guestToken } = issueGuestToken();
+  const { status, body } = await run(verifyToken, { headers: { authorization: `Bearer ${guestToken}` } });
+
+  assert.equal(status, 401);
+  assert.equal(body.reason, 'invalid');
+});
+
+test('guest-enabled routes still check account tokens and tampered guest tokens', async () => {
+  users.set('u3', { uid: 'u3', email: 'c@example.com' });
+  const { sessionToken } = await createSession(users.get('u3'));
+  const req = { headers: { authorization: `Bearer ${sessionToken}` } };
+  assert.equal((await run(verifyTokenOrGuest, req)).next, true);
+  assert.equal(req.user.guest, undefined);
+  assert.equal(req.user.uid, 'u3');
+
+  // A session token with no session behind it is not enough
+  const unbound = issueSessionToken(users.get('u3'));
+  assert.equal((await run(verifyTokenOrGuest, { headers: { authorization: `Bearer ${unbound}` } })).status, 401);
+
+  const [header, payload] = issueGuestToken().guestToken.split('.');
+  const tampered = await run(verifyTokenOrGuest, { headers: { authorization: `Bearer ${header}.${payload}.forged` } });
+  assert.deepEqual(tampered, { status: 401, body: { error: 'Invalid token', reason: 'tampered' } });
+
+  assert.deepEqual(await run(verifyTokenOrGuest, { headers: {} }), { status: 401, body: { error: 'No token provided' } });
+});
+
+test('each IP gets a limited number of guest tokens per day', async () => {
+  for (let i = 0; i < 10; i++) {
+    assert.equal((await run(guardGuestTokens, { ip: '203.0.113.5' })).next, true);
+  }
+
+  const { status, body } = await run(guardGuestTokens, { ip: '203.0.113.5' });
+  assert.equal(status, 429);
+  assert.ok(body.retryAfterSeconds > 0);
+  assert.equal((await run(guardGuestTokens, { ip: '198.51.100.7' })).next, true);
+});
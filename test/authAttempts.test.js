@@ -0,0 +1,141 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const { docs } = useMemoryFirestore();
+const {
+  checkLock,
+  recordFailure,
+  recordSuccess,
+  unlock,
+  deleteAccountAttempts,
+  guardAuthAttempts,
+} = require('../lib/authAttempts');
+
+// Locks are announced on console.warn
+mock.method(console, 'warn', () => {});
+
+beforeEach(() => docs.clear());
+
+const SECOND = 1000;
+
+const fail = async (subject, times) => {
+  for (let i = 0; i < times; i++) await recordFailure(subject, 'signin');
+};
+
+const lockoutEvents = () =>
+  [...docs.entries()].filter(([path]) => path.startsWith('lockoutEvents/')).map(([, data]) => data);
+
+// Lock length of the newest event, from its lockedUntil
+const lastLockMs = () => {
+  const { lockedUntil, createdAt } = lockoutEvents().at(-1);
+  return new Date(lockedUntil).getTime() - createdAt.toMillis();
+};
+
+const assertAbout = (actualMs, expectedMs) =>
+  assert.ok(Math.abs(actualMs - expectedMs) < SECOND, `${actualMs}ms is not about ${expectedMs}ms`);
+
+test('an account locks after five failures, for twice as long with each further one', async () => {
+  const subject = { ip: '203.0.113.5', email: 'A@Example.com' };
+
+  await fail(subject, 4);
+  assert.deepEqual(await checkLock(subject), { locked: false, retryAfterSeconds: 0 });
+  assert.equal(lockoutEvents().length, 0);
+
+  await fail(subject, 1);
+  const lock = await checkLock({ email: 'a@example.com' });
+  assert.equal(lock.locked, true);
+  assert.equal(lock.type, 'account');
+  assert.ok(lock.retryAfterSeconds > 25 && lock.retryAfterSeconds <= 30);
+  assertAbout(lastLockMs(), 30 * SECOND);
+
+  await fail(subject, 1);
+  assertAbout(lastLockMs(), 60 * SECOND);
+  await fail(subject, 1);
+  assertAbout(lastLockMs(), 120 * SECOND);
+
+  // Capped at an hour
+  await fail(subject, 10);
+  assertAbout(lastLockMs(), 60 * 60 * SECOND);
+});
+
+test('failures outside the 24 hour window start the count again', async () => {
+  const subject = { email: 'b@example.com' };
+  await fail(subject, 4);
+
+  const [path] = [...docs.keys()].filter((key) => key.startsWith('authAttempts/'));
+  docs.get(path).lastFailureAt = new Date(Date.now() - 25 * 60 * 60 * SECOND).toISOString();
+
+  await fail(subject, 1);
+  assert.equal(docs.get(path).failures, 1);
+  assert.equal((await checkLock(subject)).locked, false);
+});
+
+test('an IP locks after twenty failures across accounts', async () => {
+  for (let i = 0; i < 20; i++) {
+    await recordFailure({ ip: '198.51.100.7', email: `user${i}@example.com` }, 'signin');
+  }
+
+  const lock = await checkLock({ ip: '198.51.100.7', email: 'new@example.com' });
+  assert.equal(lock.locked, true);
+  assert.equal(lock.type, 'ip');
+  assertAbout(lastLockMs(), 60 * SECOND);
+});
+
+test('a successful sign-in clears the account count but not the IP count', async () => {
+  const subject = { ip: '203.0.113.9', email: 'c@example.com' };
+  await fail(subject, 4);
+  await recordSuccess(subject);
+
+  await fail(subject, 4);
+  assert.equal((await checkLock(subject)).locked, false);
+  assert.equal([...docs.values()].find((data) => data.type === 'ip').failures, 8);
+});
+
+test('lockout events keep only masked identifiers', async () => {
+  await fail({ ip: '203.0.113.5', email: 'jane@example.com' }, 5);
+
+  const [event] = lockoutEvents();
+  assert.equal(event.identifier, 'j***@example.com');
+  assert.equal(event.ip, '203.0.113.x');
+  assert.ok(!JSON.stringify([...docs.values()]).includes('jane@example.com'));
+  assert.ok(!JSON.stringify([...docs.values()]).includes('203.0.113.5'));
+});
+
+test('unlocking clears the lock and resolves its open events', async () => {
+  await fail({ email: 'd@example.com' }, 6);
+
+  assert.equal(await unlock('account', 'D@example.com', 'admin1'), 2);
+  assert.equal((await checkLock({ email: 'd@example.com' })).locked, false);
+  assert.ok(lockoutEvents().every((event) => event.unlockedBy === 'admin1' && event.unlockedAt));
+});
+
+test('deleting an account removes its counts and lockout events', async () => {
+  await fail({ ip: '203.0.113.5', email: 'e@example.com' }, 5);
+  await deleteAccountAttempts('e@example.com');
+
+  assert.deepEqual(lockoutEvents(), []);
+  assert.deepEqual([...docs.values()].map((data) => data.type), ['ip']);
+});
+
+test('the guard answers 429 with Retry-After while locked', async () => {
+  await fail({ ip: '203.0.113.5', email: 'f@example.com' }, 5);
+
+  const headers = {};
+  let response;
+  const res = {
+    set: (name, value) => { headers[name] = value; },
+    status: (code) => ({ json: (body) => { response = { code, body }; } }),
+  };
+  let nextCalls = 0;
+  const next = () => { nextCalls++; };
+
+  await guardAuthAttempts()({ ip: '192.0.2.1', body: { email: 'f@example.com' } }, res, next);
+  assert.equal(response.code, 429);
+  assert.equal(response.body.lockedBy, 'account');
+  assert.equal(headers['Retry-After'], String(response.body.retryAfterSeconds));
+
+  // Without the account check only the IP counts, and it is not locked
+  await guardAuthAttempts({ account: false })({ ip: '192.0.2.1', body: { email: 'f@example.com' } }, res, next);
+  assert.equal(nextCalls, 1);
+});
@@ -0,0 +1,86 @@
+const http = require('http');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const { docs, users } = useMemoryFirestore();
+const {
+  createLocalVerifier,
+  createFirebaseRestVerifier,
+  hashPassword,
+  passwordMatches,
+} = require('../lib/credentials');
+
+// Stand-in for the Auth emulator's signInWithPassword endpoint
+let server;
+let emulatorHost;
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const { email, password } = JSON.parse(body);
+      res.setHeader('Content-Type', 'application/json');
+      if (email === 'a@example.com' && password === 'Correct-Horse-9') {
+        return res.end(JSON.stringify({ localId: 'u1', email }));
+      }
+      const message = email === 'a@example.com' ? 'INVALID_PASSWORD' : 'USER_DISABLED : The user account has been disabled';
+      res.statusCode = 400;
+      res.end(JSON.stringify({ error: { message } }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  emulatorHost = `127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+test('password hashes are salted scrypt and compared exactly', () => {
+  const first = hashPassword('Correct-Horse-9');
+  const second = hashPassword('Correct-Horse-9');
+
+  assert.notEqual(first, second);
+  assert.ok(passwordMatches('Correct-Horse-9', first));
+  assert.ok(passwordMatches('Correct-Horse-9', second));
+  assert.equal(passwordMatches('correct-horse-9', first), false);
+  assert.equal(passwordMatches('Correct-Horse-9', 'garbage'), false);
+  assert.equal(passwordMatches('Correct-Horse-9', undefined), false);
+});
+
+test('the local verifier checks recorded passwords and forgets them on deletion', async () => {
+  const verifier = createLocalVerifier();
+  users.set('u1', { uid: 'u1', email: 'a@example.com' });
+
+  await verifier.recordPassword('u1', 'Correct-Horse-9');
+  assert.notEqual(docs.get('localCredentials/u1').passwordHash, 'Correct-Horse-9');
+  assert.deepEqual(await verifier.verifyPassword('a@example.com', 'Correct-Horse-9'), { uid: 'u1', email: 'a@example.com' });
+
+  await assert.rejects(verifier.verifyPassword('a@example.com', 'wrong'), { code: 'auth/wrong-password' });
+  await assert.rejects(verifier.verifyPassword('nobody@example.com', 'Correct-Horse-9'), { code: 'auth/user-not-found' });
+
+  await verifier.deleteCredentials('u1');
+  assert.equal(docs.has('localCredentials/u1'), false);
+  await assert.rejects(verifier.verifyPassword('a@example.com', 'Correct-Horse-9'), { code: 'auth/wrong-password' });
+});
+
+test('the local verifier refuses disabled accounts', async () => {
+  const verifier = createLocalVerifier();
+  users.set('u2', { uid: 'u2', email: 'b@example.com', disabled: true });
+  await verifier.recordPassword('u2', 'Correct-Horse-9');
+
+  await assert.rejects(verifier.verifyPassword('b@example.com', 'Correct-Horse-9'), { code: 'auth/user-disabled' });
+});
+
+test('the REST verifier maps Identity Toolkit errors to auth/* codes', async () => {
+  const verifier = createFirebaseRestVerifier({ emulatorHost });
+
+  assert.deepEqual(await verifier.verifyPassword('a@example.com', 'Correct-Horse-9'), { uid: 'u1', email: 'a@example.com' });
+  await assert.rejects(verifier.verifyPassword('a@example.com', 'wrong'), { code: 'auth/wrong-password' });
+  await assert.rejects(verifier.verifyPassword('c@example.com', 'Correct-Horse-9'), { code: 'auth/user-disabled' });
+});
+
+test('the REST verifier needs a Web API key outside the emulator', async () => {
+  await assert.rejects(
+    createFirebaseRestVerifier({}).verifyPassword('a@example.com', 'Correct-Horse-9'),
+    { code: 'auth/configuration-not-found' }
+  );
+});
@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { assessLexicon } = require('../lib/crisisRisk');
+
+const levelOf = (text) => assessLexicon(text).level;
+
+test('phrases map to their risk level', () => {
+  assert.equal(levelOf('I had a nice walk today'), 'none');
+  assert.equal(levelOf('I feel hopeless'), 'low');
+  assert.equal(levelOf('I want to die'), 'elevated');
+  assert.equal(levelOf('I want to end it tonight'), 'imminent');
+  assert.equal(levelOf('I will not be here tomorrow'), 'imminent');
+  assert.equal(levelOf('quiero morir'), 'elevated');
+});
+
+test('an explicit first-person denial lowers a phrase to low', () => {
+  assert.equal(levelOf("I'd never kill myself"), 'low');
+  assert.equal(levelOf("I'm not going to kill myself, I just need to vent"), 'low');
+  assert.equal(levelOf("I don't want to die"), 'low');
+  assert.equal(levelOf('nunca me mataría'), 'low');
+});
+
+test('rhetorical questions and double negations are not denials', () => {
+  assert.equal(levelOf('why not just kill myself'), 'elevated');
+  assert.equal(levelOf('there is no reason not to end it all'), 'elevated');
+  assert.equal(levelOf("I can't say I'd never kill myself"), 'elevated');
+  assert.equal(levelOf('por qué no matarme'), 'elevated');
+});
+
+test('means and timing still count when the phrase is denied', () => {
+  assert.equal(levelOf("I'm not going to kill myself, I have the pills ready tonight"), 'imminent');
+  assert.equal(levelOf("I won't kill myself tonight"), 'elevated');
+});
+
+test('someone else or the past lowers a phrase one level', () => {
+  assert.equal(levelOf('my friend told me she is suicidal'), 'low');
+  assert.equal(levelOf('years ago I wanted to die'), 'low');
+});
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { verifyGoogleIdToken, setTestKeys } = require('../lib/googleIdToken');
+
+const ENV_KEYS = ['GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_IDS', 'GOOGLE_TEST_JWKS_FILE', 'NODE_ENV'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+
+const CLIENT_ID = 'web-client.apps.googleusercontent.com';
+const KID = 'test-key-1';
+
+const newKey = () => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const googleKey = newKey();
+const jwks = { keys: [{ ...googleKey.publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' }] };
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'google-jwks-'));
+const jwksFile = path.join(tmpDir, 'jwks.json');
+fs.writeFileSync(jwksFile, JSON.stringify(jwks));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// An ID token as Google Identity Services would issue it
+const idToken = (claims = {}, { key = googleKey.privateKey, kid = KID, expiresIn = 3600 } = {}) =>
+  jwt.sign(
+    {
+      iss: 'https://accounts.google.com',
+      email: 'a@example.com',
+      email_verified: true,
+      name: 'Ada',
+      picture: 'https://example.com/a.png',
+      ...claims,
+    },
+    key,
+    { algorithm: 'RS256', keyid: kid, subject: 'google-sub-1', audience: CLIENT_ID, expiresIn }
+  );
+
+beforeEach(() => {
+  ENV_KEYS.forEach((key) => delete process.env[key]);
+  process.env.GOOGLE_CLIENT_ID = CLIENT_ID;
+  setTestKeys(jwks);
+});
+
+afterEach(() => {
+  ENV_KEYS.forEach((key) => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+});
+
+test('a valid ID token yields the Google profile', async () => {
+  assert.deepEqual(await verifyGoogleIdToken(idToken()), {
+    sub: 'google-sub-1',
+    email: 'a@example.com',
+    name: 'Ada',
+    picture: 'https://example.com/a.png',
+  });
+});
+
+test('any of GOOGLE_CLIENT_IDS is an accepted audience', async () => {
+  delete process.env.GOOGLE_CLIENT_ID;
+  process.env.GOOGLE_CLIENT_IDS = `ios-client.apps.googleusercontent.com, ${CLIENT_ID}`;
+  assert.equal((await verifyGoogleIdToken(idToken())).sub, 'google-sub-1');
+
+  process.env.GOOGLE_CLIENT_IDS = 'ios-client.apps.googleusercontent.com';
+  await assert.rejects(verifyGoogleIdToken(idToken()), { code: 'google/invalid-token' });
+});
+
+test('tokens are refused for the wrong issuer, signer or key id', async () => {
+  await assert.rejects(verifyGoogleIdToken(idToken({ iss: 'https://evil.example.com' })), { code: 'google/invalid-token' });
+  await assert.rejects(verifyGoogleIdToken(idToken({}, { key: newKey().privateKey })), { code: 'google/invalid-token' });
+  await assert.rejects(verifyGoogleIdToken(idToken({}, { kid: 'unknown-key' })), { code: 'google/invalid-token' });
+  await assert.rejects(verifyGoogleIdToken('not-a-token'), { code: 'google/invalid-token' });
+
+  // Only RS256 is accepted, whatever the header says
+  const hs256 = jwt.sign({ email: 'a@example.com', email_verified: true }, 'secret', { keyid: KID, audience: CLIENT_ID });
+  await assert.rejects(verifyGoogleIdToken(hs256), { code: 'google/invalid-token' });
+});
+
+test('expired tokens and unverified emails have their own codes', async () => {
+  await assert.rejects(verifyGoogleIdToken(idToken({}, { expiresIn: -10 })), { code: 'google/expired' });
+  await assert.rejects(verifyGoogleIdToken(idToken({ email_verified: false })), { code: 'google/unverified-email' });
+  await assert.rejects(verifyGoogleIdToken(idToken({ email: undefined })), { code: 'google/unverified-email' });
+});
+
+test('nothing is verified without a configured client id', async () => {
+  delete process.env.GOOGLE_CLIENT_ID;
+  await assert.rejects(verifyGoogleIdToken(idToken()), { code: 'google/not-configured' });
+});
+
+test('GOOGLE_TEST_JWKS_FILE supplies the keys outside production only', async () => {
+  setTestKeys(null);
+  process.env.GOOGLE_TEST_JWKS_FILE = jwksFile;
+
+  process.env.NODE_ENV = 'production';
+  await assert.rejects(verifyGoogleIdToken(idToken()), { code: 'google/not-configured' });
+
+  process.env.NODE_ENV = 'development';
+  assert.equal((await verifyGoogleIdToken(idToken())).email, 'a@example.com');
+});
@@ -0,0 +1,194 @@
+const firebase = require('../../lib/firebase');
+
+// In-memory stand-in for the parts of firebase-admin the lib modules use
+// (Firestore documents, queries, batches and transactions, plus a few Auth
+// user lookups), so their logic can be tested offline. Install it before
+// requiring the module under test: lib modules take getFirestore and
+// initializeFirebase when they load.
+
+const DOCUMENT_ID = '__name__';
+
+const timestamp = (date = new Date()) => ({ toDate: () => date, toMillis: () => date.getTime() });
+
+class FieldValue {
+  constructor(apply) {
+    this.apply = apply;
+  }
+
+  static serverTimestamp() {
+    return new FieldValue(() => timestamp());
+  }
+
+  static increment(n) {
+    return new FieldValue((previous) => (previous || 0) + n);
+  }
+}
+
+const resolveFields = (data, previous = {}) =>
+  Object.fromEntries(Object.entries(data).map(([key, value]) =>
+    [key, value instanceof FieldValue ? value.apply(previous[key]) : value]));
+
+const OPERATORS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  'array-contains': (a, b) => Array.isArray(a) && a.includes(b),
+};
+
+const createMemoryFirestore = () => {
+  const docs = new Map(); // path -> data
+  let autoId = 0;
+
+  const snapshotOf = (path) => ({
+    id: path.split('/').pop(),
+    ref: docRef(path),
+    exists: docs.has(path),
+    data: () => (docs.has(path) ? { ...docs.get(path) } : undefined),
+  });
+
+  const write = {
+    set: (path, data, { merge = false } = {}) => {
+      const previous = docs.get(path) || {};
+      docs.set(path, { ...(merge ? previous : {}), ...resolveFields(data, previous) });
+    },
+    update: (path, data) => {
+      if (!docs.has(path)) {
+        const error = new Error(`No document to update: ${path}`);
+        error.code = 5;
+        throw error;
+      }
+      write.set(path, data, { merge: true });
+    },
+    delete: (path) => docs.delete(path),
+  };
+
+  const docRef = (path) => ({
+    id: path.split('/').pop(),
+    path,
+    get: async () => snapshotOf(path),
+    set: async (data, options) => write.set(path, data, options),
+    update: async (data) => write.update(path, data),
+    delete: async () => write.delete(path),
+    collection: (name) => collectionRef(`${path}/${name}`),
+  });
+
+  const query = (path, { filters = [], order = [], limit = Infinity, after = null } = {}) => {
+    const next = (changes) => query(path, { filters, order, limit, after, ...changes });
+    const fieldOf = (snap, field) => (field === DOCUMENT_ID ? snap.id : snap.data()[field]);
+
+    return {
+      where: (field, op, value) => next({ filters: [...filters, { field, op, value }] }),
+      orderBy: (field, direction = 'asc') => next({ order: [...order, { field, direction }] }),
+      limit: (n) => next({ limit: n }),
+      startAfter: (snap) => next({ after: snap }),
+      select: () => next({}),
+      get: async () => {
+        const depth = path.split('/').length + 1;
+        let results = [...docs.keys()]
+          .filter((key) => key.startsWith(`${path}/`) && key.split('/').length === depth)
+          .map(snapshotOf)
+          .filter((snap) => filters.every(({ field, op, value }) => OPERATORS[op](fieldOf(snap, field), value)));
+
+        results.sort((a, b) => {
+          for (const { field, direction } of order) {
+            const x = fieldOf(a, field);
+            const y = fieldOf(b, field);
+            if (x === y) continue;
+            return (x < y ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+          }
+          return 0;
+        });
+        if (after) results = results.slice(results.findIndex((snap) => snap.id === after.id) + 1);
+        results = results.slice(0, limit);
+
+        return { docs: results, size: results.length, empty: results.length === 0, forEach: (fn) => results.forEach(fn) };
+      },
+    };
+  };
+
+  const collectionRef = (path) => ({
+    ...query(path),
+    doc: (id = `auto${++autoId}`) => docRef(`${path}/${id}`),
+    add: async (data) => {
+      const ref = docRef(`${path}/auto${++autoId}`);
+      await ref.set(data);
+      return ref;
+    },
+  });
+
+  // Writes are applied together at the end, like a batch or transaction commit
+  const stagedWriter = (staged) => ({
+    set: (ref, data, options) => staged.push(() => write.set(ref.path, data, options)),
+    update: (ref, data) => staged.push(() => write.update(ref.path, data)),
+    delete: (ref) => staged.push(() => write.delete(ref.path)),
+  });
+
+  const db = {
+    collection: (name) => collectionRef(name),
+    batch: () => {
+      const staged = [];
+      return { ...stagedWriter(staged), commit: async () => staged.forEach((apply) => apply()) };
+    },
+    runTransaction: async (fn) => {
+      const staged = [];
+      const result = await fn({ get: (ref) => ref.get(), ...stagedWriter(staged) });
+      staged.forEach((apply) => apply());
+      return result;
+    },
+  };
+
+  return { db, docs };
+};
+
+// Firebase Auth users by uid, with the lookups the lib modules make
+const createMemoryAuth = () => {
+  const users = new Map();
+  const notFound = () => {
+    const error = new Error('No user record found');
+    error.code = 'auth/user-not-found';
+    return error;
+  };
+
+  return {
+    users,
+    auth: {
+      getUser: async (uid) => {
+        if (!users.has(uid)) throw notFound();
+        return users.get(uid);
+      },
+      getUserByEmail: async (email) => {
+        const user = [...users.values()].find((u) => u.email === email);
+        if (!user) throw notFound();
+        return user;
+      },
+      updateUser: async (uid, changes) => {
+        if (!users.has(uid)) throw notFound();
+        users.set(uid, { ...users.get(uid), ...changes });
+        return users.get(uid);
+      },
+    },
+  };
+};
+
+/**
+ * Point lib/firebase at a fresh in-memory Firestore and Auth
+ * @returns {{ db: Object, docs: Map<string, Object>, users: Map<string, Object> }}
+ *   docs: document data by path, e.g. docs.get('sessions/abc'); users: Auth user records by uid
+ */
+const useMemoryFirestore = () => {
+  const { db, docs } = createMemoryFirestore();
+  const { users, auth } = createMemoryAuth();
+  const admin = {
+    auth: () => auth,
+    firestore: { FieldValue, FieldPath: { documentId: () => DOCUMENT_ID } },
+  };
+
+  firebase.getFirestore = () => db;
+  firebase.initializeFirebase = () => admin;
+  return { db, docs, users };
+};
+
+module.exports = { useMemoryFirestore };
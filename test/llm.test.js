@@ -0,0 +1,148 @@
+const http = require('http');
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  FEATURES,
+  getModelConfig,
+  generateText,
+  streamText,
+  parseJsonResponse,
+  setProvider,
+  onUsage,
+} = require('../lib/llm');
+const { createMockProvider } = require('../lib/llm/mock');
+const { createOpenAICompatibleProvider } = require('../lib/llm/openaiCompatible');
+
+const ENV_KEYS = ['LLM_PROVIDER', 'LLM_CHAT_PROVIDER', 'LLM_CHAT_MODEL', 'OPENAI_MODEL'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+
+afterEach(() => {
+  ENV_KEYS.forEach((key) => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+  setProvider('mock', null);
+  setProvider('openai', null);
+});
+
+test('features use gemini and its default models unless configured', () => {
+  ENV_KEYS.forEach((key) => delete process.env[key]);
+  assert.deepEqual(getModelConfig('chat'), { provider: 'gemini', model: 'gemini-2.5-flash' });
+  assert.deepEqual(getModelConfig('summary'), { provider: 'gemini', model: 'gemini-2.0-flash' });
+});
+
+test('LLM_PROVIDER sets the default and LLM_<FEATURE>_* overrides one feature', () => {
+  process.env.LLM_PROVIDER = 'mock';
+  process.env.LLM_CHAT_PROVIDER = 'openai';
+  process.env.LLM_CHAT_MODEL = 'qwen2.5';
+  process.env.OPENAI_MODEL = 'llama3.2';
+
+  assert.deepEqual(getModelConfig('chat'), { provider: 'openai', model: 'qwen2.5' });
+  assert.deepEqual(getModelConfig('summary'), { provider: 'mock', model: 'mock' });
+
+  delete process.env.LLM_CHAT_MODEL;
+  assert.deepEqual(getModelConfig('chat'), { provider: 'openai', model: 'llama3.2' });
+});
+
+test('unknown features and providers fail with llm/* codes', async () => {
+  assert.throws(() => getModelConfig('poetry'), { code: 'llm/unknown-feature' });
+
+  process.env.LLM_PROVIDER = 'nope';
+  await assert.rejects(generateText('chat', { prompt: 'hi' }), { code: 'llm/unknown-provider' });
+});
+
+test('the mock provider answers every feature offline, deterministically', async () => {
+  process.env.LLM_PROVIDER = 'mock';
+
+  for (const feature of Object.keys(FEATURES)) {
+    const result = await generateText(feature, { prompt: 'I feel a bit stressed' });
+    assert.equal(result.provider, 'mock');
+    assert.ok(result.text.length > 0, feature);
+    assert.ok(result.usage.inputTokens > 0 && result.usage.outputTokens > 0, feature);
+  }
+
+  const first = await generateText('chat', { prompt: 'same prompt' });
+  const second = await generateText('chat', { prompt: 'same prompt' });
+  assert.equal(first.text, second.text);
+
+  const prompts = parseJsonResponse((await generateText('journalPrompts', { prompt: 'x' })).text);
+  assert.ok(Array.isArray(prompts) && prompts.length === 3);
+  assert.equal(parseJsonResponse((await generateText('moderation', { prompt: 'x' })).text).safe, true);
+});
+
+test('the mock provider streams the same text in chunks', async () => {
+  process.env.LLM_PROVIDER = 'mock';
+
+  const chunks = [];
+  const result = await streamText('chat', { prompt: 'streamed' }, (text) => chunks.push(text));
+  const whole = await generateText('chat', { prompt: 'streamed' });
+
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks.join('').trim(), whole.text);
+  assert.equal(result.text, whole.text);
+});
+
+test('setProvider swaps in a mock with custom replies', async () => {
+  process.env.LLM_PROVIDER = 'mock';
+  setProvider('mock', createMockProvider({ responses: { chat: 'Custom reply.' } }));
+
+  assert.equal((await generateText('chat', { prompt: 'hi' })).text, 'Custom reply.');
+});
+
+test('an aborted call rejects with llm/aborted', async () => {
+  process.env.LLM_PROVIDER = 'mock';
+  const controller = new AbortController();
+  controller.abort();
+
+  await assert.rejects(
+    generateText('chat', { prompt: 'hi', signal: controller.signal }),
+    { code: 'llm/aborted' }
+  );
+});
+
+test('a stream stopped after sending text still reports estimated usage', async () => {
+  process.env.LLM_PROVIDER = 'mock';
+  const events = [];
+  onUsage((event) => events.push(event));
+
+  const controller = new AbortController();
+  await assert.rejects(
+    streamText('chat', { prompt: 'stop me', signal: controller.signal, userId: 'u1' }, () => controller.abort()),
+    { code: 'llm/aborted' }
+  );
+
+  const [event] = events.filter((e) => e.userId === 'u1');
+  assert.equal(event.estimated, true);
+  assert.ok(event.usage.inputTokens > 0 && event.usage.outputTokens > 0);
+});
+
+test('a malformed stream event fails with llm/bad-response and is not retried', async () => {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests += 1;
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.end('data: {not json\n\ndata: [DONE]\n\n');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    process.env.LLM_PROVIDER = 'openai';
+    setProvider('openai', createOpenAICompatibleProvider({ baseUrl: `http://127.0.0.1:${server.address().port}/v1` }));
+
+    await assert.rejects(streamText('chat', { prompt: 'hi' }, () => {}), { code: 'llm/bad-response' });
+    assert.equal(requests, 1);
+  } finally {
+    server.close();
+  }
+});
+
+test('usageFeature reports a call under another feature', async () => {
+  process.env.LLM_PROVIDER = 'mock';
+  const events = [];
+  onUsage((event) => events.push(event));
+
+  await generateText('chat', { prompt: 'again', userId: 'u2', usageFeature: 'replySafety' });
+
+  const [event] = events.filter((e) => e.userId === 'u2');
+  assert.equal(event.feature, 'replySafety');
+});
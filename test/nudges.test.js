@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectTriggers } = require('../lib/nudges');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const mood = (date, time, value) => ({ date, mood: value, stress: 3, timestamp: `${date}T${time}:00.000Z` });
+const keys = (data) => detectTriggers({ now, ...data }).map((t) => t.key);
+
+test('days are counted in the user\'s time zone', () => {
+  // Logged at 20:00 UTC, which is the next morning in Tokyo
+  const moods = [mood('2026-10-16', '20:00', 7), mood('2026-10-17', '20:00', 5), mood('2026-10-18', '20:00', 4)];
+  assert.deepEqual(keys({ moods, activities: [], timeZone: 'UTC' }), ['declining-mood:2026-10-18']);
+  assert.deepEqual(keys({ moods, activities: [], timeZone: 'Asia/Tokyo' }), ['declining-mood:2026-10-19']);
+});
+
+test('a streak is missed only when nothing was done yesterday or today, locally', () => {
+  const activity = (iso) => ({ date: iso.split('T')[0], completedAt: { toDate: () => new Date(iso) } });
+  const activities = ['2026-10-15T10:00:00Z', '2026-10-16T10:00:00Z', '2026-10-18T02:00:00Z'].map(activity);
+  // 02:00 UTC on the 18th is still the 17th in Los Angeles
+  assert.deepEqual(keys({ moods: [], activities, timeZone: 'UTC' }), []);
+  assert.deepEqual(keys({ moods: [], activities, timeZone: 'America/Los_Angeles' }), ['missed-streak:activities:2026-10-17']);
+});
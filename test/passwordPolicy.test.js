@@ -0,0 +1,83 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const { docs } = useMemoryFirestore();
+const {
+  validatePassword,
+  validateNewPassword,
+  recordPasswordHistory,
+  isCommonPassword,
+} = require('../lib/passwordPolicy');
+
+const savedHistorySize = process.env.PASSWORD_HISTORY_SIZE;
+
+beforeEach(() => {
+  docs.clear();
+  delete process.env.PASSWORD_HISTORY_SIZE;
+});
+
+afterEach(() => {
+  if (savedHistorySize === undefined) delete process.env.PASSWORD_HISTORY_SIZE;
+  else process.env.PASSWORD_HISTORY_SIZE = savedHistorySize;
+});
+
+const TOO_COMMON = 'Password is too common. Please choose something less predictable';
+
+test('common passwords are blocked, decorated or not', () => {
+  assert.ok(isCommonPassword('qwerty123'));
+  assert.ok(isCommonPassword('SUNSHINE'));
+  assert.ok(isCommonPassword('Password123!'));
+  assert.ok(isCommonPassword('!!Dragon2024'));
+  assert.equal(isCommonPassword('Tangerine!Lamp41'), false);
+
+  // Too short a core to judge on its own
+  assert.equal(isCommonPassword('1ab!'), false);
+});
+
+test('the complexity rules each report their own error', () => {
+  assert.deepEqual(validatePassword('Tangerine!Lamp41'), { isValid: true, errors: [] });
+
+  assert.deepEqual(validatePassword('Ab1!'), { isValid: false, errors: ['Password must be at least 8 characters long'] });
+  assert.equal(validatePassword(undefined).isValid, false);
+  assert.deepEqual(validatePassword('tangerine lamp'), {
+    isValid: false,
+    errors: [
+      'Password must contain at least one uppercase letter',
+      'Password must contain at least one number',
+      'Password must contain at least one special character',
+    ],
+  });
+  assert.deepEqual(validatePassword(`Aa1!${'x'.repeat(130)}`).errors, ['Password must be less than 128 characters']);
+});
+
+test('a decorated common word passes the complexity rules but not the blocklist', () => {
+  assert.deepEqual(validatePassword('Password123!'), { isValid: false, errors: [TOO_COMMON] });
+});
+
+test('recent passwords are stored hashed and cannot be reused', async () => {
+  await recordPasswordHistory('u1', 'Tangerine!Lamp41');
+  assert.ok(!JSON.stringify(docs.get('passwordHistory/u1')).includes('Tangerine!Lamp41'));
+
+  assert.deepEqual(await validateNewPassword('u1', 'Tangerine!Lamp41'), {
+    isValid: false,
+    errors: ['Password must be different from your last 5 passwords'],
+  });
+  assert.deepEqual(await validateNewPassword('u1', 'Copper!Kettle72'), { isValid: true, errors: [] });
+  assert.deepEqual(await validateNewPassword('u2', 'Tangerine!Lamp41'), { isValid: true, errors: [] });
+
+  // Policy errors come first, without a history lookup
+  assert.deepEqual(await validateNewPassword('u1', 'Password123!'), { isValid: false, errors: [TOO_COMMON] });
+});
+
+test('only the last PASSWORD_HISTORY_SIZE passwords are kept', async () => {
+  process.env.PASSWORD_HISTORY_SIZE = '2';
+  for (const password of ['First!Pass01', 'Second!Pass02', 'Third!Pass03']) {
+    await recordPasswordHistory('u3', password);
+  }
+
+  assert.equal(docs.get('passwordHistory/u3').hashes.length, 2);
+  assert.equal((await validateNewPassword('u3', 'First!Pass01')).isValid, true);
+  assert.equal((await validateNewPassword('u3', 'Second!Pass02')).isValid, false);
+  assert.deepEqual((await validateNewPassword('u3', 'Third!Pass03')).errors, ['Password must be different from your last 2 passwords']);
+});
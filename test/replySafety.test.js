@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkReplyRules } = require('../lib/replySafety');
+
+const rulesFor = (text) => checkReplyRules(text).map((violation) => violation.rule);
+
+test('supportive replies pass', () => {
+  [
+    "Please don't stop taking your medication without talking to your doctor.",
+    'Skipping meals can make stress worse, so try to eat something small.',
+    'Have you been skipping meals lately?',
+    'It sounds like depression has been weighing on you for a while.',
+    "That sounds really hard. I'm here with you. What's been on your mind?",
+  ].forEach((reply) => assert.deepEqual(rulesFor(reply), [], reply));
+});
+
+test('medication advice fails unless it refers to a professional', () => {
+  assert.deepEqual(rulesFor('You should stop taking your meds for a few days.'), ['medication-dosage']);
+  assert.deepEqual(rulesFor('Try 50 mg before bed.'), ['medication-dosage']);
+  assert.deepEqual(rulesFor('Skip your evening dose tonight.'), ['medication-dosage']);
+  assert.deepEqual(rulesFor('Ask your doctor whether to lower your dose.'), []);
+});
+
+test('harmful encouragement fails', () => {
+  assert.deepEqual(rulesFor('Maybe skip meals for a while to feel in control.'), ['harmful-content']);
+  assert.deepEqual(rulesFor('Why not skip meals?'), ['harmful-content']);
+  assert.deepEqual(rulesFor('You should hurt yourself.'), ['harmful-content']);
+});
+
+test('diagnoses aimed at the user fail', () => {
+  assert.deepEqual(rulesFor('It sounds like you have depression.'), ['diagnosis']);
+  assert.deepEqual(rulesFor('You probably have ADHD.'), ['diagnosis']);
+});
+
+test('internal prompt sections fail', () => {
+  assert.deepEqual(rulesFor('=== DEEP CHECK-IN ==='), ['internal-leak']);
+  assert.deepEqual(rulesFor('<wellness_summary>notes</wellness_summary>'), ['internal-leak']);
+});
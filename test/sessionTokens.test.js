@@ -0,0 +1,93 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+const ENV_KEYS = ['SESSION_TOKEN_KEYS', 'SESSION_TOKEN_ACTIVE_KID', 'SESSION_TOKEN_TTL'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+
+// The keyring is read once per module load, so each configuration gets a fresh copy
+const loadTokens = (env) => {
+  ENV_KEYS.forEach((key) => delete process.env[key]);
+  Object.assign(process.env, env);
+  delete require.cache[require.resolve('../lib/sessionTokens')];
+  return require('../lib/sessionTokens');
+};
+
+afterEach(() => {
+  ENV_KEYS.forEach((key) => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+});
+
+const user = { uid: 'u1', email: 'a@example.com' };
+
+test('session tokens are HS256 JWTs signed with the active kid', () => {
+  const tokens = loadTokens({ SESSION_TOKEN_KEYS: 'k1:first-secret,k2:second-secret', SESSION_TOKEN_ACTIVE_KID: 'k2' });
+  const token = tokens.issueSessionToken(user, { sid: 's1' });
+
+  const { header, payload } = jwt.decode(token, { complete: true });
+  assert.equal(header.alg, 'HS256');
+  assert.equal(header.kid, 'k2');
+  assert.equal(payload.iss, 'mental-buddy-api');
+  assert.equal(payload.aud, 'mental-buddy-app');
+  assert.ok(payload.exp > payload.iat);
+
+  const { uid, email, claims } = tokens.verifySessionToken(token);
+  assert.equal(uid, 'u1');
+  assert.equal(email, 'a@example.com');
+  assert.equal(claims.sid, 's1');
+});
+
+test('rotation: tokens from the old key verify until the key is removed', () => {
+  const before = loadTokens({ SESSION_TOKEN_KEYS: 'k1:first-secret' });
+  const oldToken = before.issueSessionToken(user);
+
+  const rotating = loadTokens({ SESSION_TOKEN_KEYS: 'k1:first-secret,k2:second-secret', SESSION_TOKEN_ACTIVE_KID: 'k2' });
+  assert.equal(rotating.verifySessionToken(oldToken).uid, 'u1');
+  const newToken = rotating.issueSessionToken(user);
+  assert.equal(jwt.decode(newToken, { complete: true }).header.kid, 'k2');
+
+  const after = loadTokens({ SESSION_TOKEN_KEYS: 'k2:second-secret' });
+  assert.equal(after.verifySessionToken(newToken).uid, 'u1');
+  assert.throws(() => after.verifySessionToken(oldToken), { code: 'token/unknown-key' });
+});
+
+test('an active kid missing from the keyring is refused', () => {
+  const tokens = loadTokens({ SESSION_TOKEN_KEYS: 'k1:first-secret', SESSION_TOKEN_ACTIVE_KID: 'k9' });
+  assert.throws(() => tokens.issueSessionToken(user), /SESSION_TOKEN_ACTIVE_KID "k9"/);
+});
+
+test('rejected tokens carry a precise reason', () => {
+  const tokens = loadTokens({ SESSION_TOKEN_KEYS: 'k1:first-secret' });
+  const token = tokens.issueSessionToken(user);
+
+  const [header, payload, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ ...jwt.decode(token), sub: 'admin' })).toString('base64url');
+  assert.throws(() => tokens.verifySessionToken(`${header}.${forged}.${signature}`), { code: 'token/tampered' });
+
+  const expired = jwt.sign({ email: user.email }, 'first-secret', {
+    algorithm: 'HS256',
+    keyid: 'k1',
+    subject: 'u1',
+    issuer: 'mental-buddy-api',
+    audience: 'mental-buddy-app',
+    expiresIn: -10,
+  });
+  assert.throws(() => tokens.verifySessionToken(expired), { code: 'token/expired' });
+
+  assert.throws(() => tokens.verifySessionToken('not-a-token'), { code: 'token/malformed' });
+  assert.throws(() => tokens.verifySessionToken(`${header}.${payload}`), { code: 'token/malformed' });
+
+  assert.deepEqual(tokens.tokenErrorResponse({ code: 'token/expired' }), { error: 'Token expired', reason: 'expired' });
+  assert.deepEqual(tokens.tokenErrorResponse({ code: 'token/tampered' }), { error: 'Invalid token', reason: 'tampered' });
+});
+
+test('a token of one kind is never accepted as another', () => {
+  const tokens = loadTokens({ SESSION_TOKEN_KEYS: 'k1:first-secret' });
+  const challenge = tokens.issueChallengeToken(user);
+
+  assert.equal(tokens.verifyChallengeToken(challenge).uid, 'u1');
+  assert.throws(() => tokens.verifySessionToken(challenge), { code: 'token/invalid' });
+  assert.throws(() => tokens.verifyChallengeToken(tokens.issueSessionToken(user)), { code: 'token/invalid' });
+});
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryFirestore } = require('./helpers/memoryFirestore');
+
+process.env.SESSION_TOKEN_KEYS = 'k1:test-secret';
+const { docs, users } = useMemoryFirestore();
+const {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken,
+} = require('../lib/sessions');
+
+const addUser = (uid, extra = {}) => {
+  const user = { uid, email: `${uid}@example.com`, ...extra };
+  users.set(uid, user);
+  return user;
+};
+
+test('a session stores only the refresh token hash and backs its access token', async () => {
+  const user = addUser('u1');
+  const pair = await createSession(user, { ip: '203.0.113.5', get: () => 'test-agent' });
+
+  const session = docs.get(`sessions/${pair.sessionId}`);
+  assert.equal(session.userId, 'u1');
+  assert.equal(session.ip, '203.0.113.5');
+  assert.ok(!pair.refreshToken.includes(session.refreshTokenHash));
+  assert.ok(pair.refreshToken.startsWith(`${pair.sessionId}.`));
+
+  const verified = await verifyAccessToken(pair.sessionToken);
+  assert.equal(verified.uid, 'u1');
+  assert.equal(verified.sessionId, pair.sessionId);
+});
+
+test('refreshing rotates the refresh token within the same session', async () => {
+  const user = addUser('u2');
+  const first = await createSession(user);
+  const second = await refreshSession(first.refreshToken);
+
+  assert.equal(second.sessionId, first.sessionId);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(second.user.uid, 'u2');
+
+  const third = await refreshSession(second.refreshToken);
+  assert.equal(third.sessionId, first.sessionId);
+});
+
+test('replaying a rotated refresh token revokes the session', async () => {
+  const user = addUser('u3');
+  const first = await createSession(user);
+  const second = await refreshSession(first.refreshToken);
+
+  await assert.rejects(refreshSession(first.refreshToken), { code: 'session/refresh-reused' });
+  assert.equal(docs.get(`sessions/${first.sessionId}`).revokedReason, 'refresh-reuse');
+
+  // The legitimate holder is signed out too
+  await assert.rejects(refreshSession(second.refreshToken), { code: 'session/revoked' });
+  await assert.rejects(verifyAccessToken(second.sessionToken), { code: 'token/revoked' });
+});
+
+test('malformed, unknown and expired refresh tokens are refused', async () => {
+  const user = addUser('u4');
+  const pair = await createSession(user);
+
+  await assert.rejects(refreshSession('no-dot'), { code: 'session/invalid' });
+  await assert.rejects(refreshSession('missing.secret'), { code: 'session/invalid' });
+
+  docs.get(`sessions/${pair.sessionId}`).expiresAt = new Date(Date.now() - 1000).toISOString();
+  await assert.rejects(refreshSession(pair.refreshToken), { code: 'session/expired' });
+});
+
+test('revoking one session or all of a user\'s sessions ends them', async () => {
+  const user = addUser('u5');
+  const phone = await createSession(user);
+  const laptop = await createSession(user);
+  const tablet = await createSession(user);
+
+  await revokeSession(phone.sessionId);
+  await assert.rejects(verifyAccessToken(phone.sessionToken), { code: 'token/revoked' });
+  assert.equal((await verifyAccessToken(laptop.sessionToken)).uid, 'u5');
+
+  assert.equal(await revokeAllSessions('u5'), 2);
+  await assert.rejects(verifyAccessToken(laptop.sessionToken), { code: 'token/revoked' });
+  await assert.rejects(refreshSession(tablet.refreshToken), { code: 'session/revoked' });
+  assert.equal(await revokeAllSessions('u5'), 0);
+});
+
+test('disabled accounts get no session and lose the ones they have on refresh', async () => {
+  await assert.rejects(createSession(addUser('u6', { disabled: true })), { code: 'auth/user-disabled' });
+
+  const user = addUser('u7');
+  const pair = await createSession(user);
+  users.set('u7', { ...user, disabled: true });
+
+  await assert.rejects(refreshSession(pair.refreshToken), { code: 'auth/user-disabled' });
+  assert.equal(docs.get(`sessions/${pair.sessionId}`).revokedReason, 'user-disabled');
+  await assert.rejects(verifyAccessToken(pair.sessionToken), { code: 'token/revoked' });
+});
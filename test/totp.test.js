@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSecret, hotp, verifyTotp, currentStep, provisioningUri } = require('../lib/totp');
+
+// The RFC 4226 / RFC 6238 test key "12345678901234567890", base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('codes match the RFC 4226 and RFC 6238 SHA-1 test vectors', () => {
+  assert.equal(hotp(RFC_SECRET, 0), '755224');
+  assert.equal(hotp(RFC_SECRET, 1), '287082');
+  assert.equal(hotp(RFC_SECRET, 9), '520489');
+
+  // RFC 6238 lists 8 digits; the last 6 are the 6 digit code
+  assert.equal(hotp(RFC_SECRET, currentStep(59 * 1000)), '287082');
+  assert.equal(hotp(RFC_SECRET, currentStep(1111111109 * 1000)), '081804');
+  assert.equal(hotp(RFC_SECRET, currentStep(1234567890 * 1000)), '005924');
+  assert.equal(hotp(RFC_SECRET, currentStep(2000000000 * 1000)), '279037');
+});
+
+test('a code verifies within one step of drift and returns its step', () => {
+  const now = 1234567890 * 1000;
+  const step = currentStep(now);
+
+  assert.equal(verifyTotp(RFC_SECRET, '005924', { now }), step);
+  assert.equal(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, step - 1), { now }), step - 1);
+  assert.equal(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, step + 1), { now }), step + 1);
+  assert.equal(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, step + 2), { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, hotp(RFC_SECRET, step - 1), { now, window: 0 }), null);
+});
+
+test('malformed codes are rejected before comparing', () => {
+  const now = 1234567890 * 1000;
+  assert.equal(verifyTotp(RFC_SECRET, '005 924', { now }), currentStep(now));
+  assert.equal(verifyTotp(RFC_SECRET, '05924', { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, 'abcdef', { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, undefined, { now }), null);
+});
+
+test('new secrets are 160 bit base32 and provision authenticator apps', () => {
+  const secret = generateSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+
+  const uri = new URL(provisioningUri(secret, 'a@example.com', 'Mental Buddy'));
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/Mental Buddy:a@example.com');
+  assert.equal(uri.searchParams.get('secret'), secret);
+  assert.equal(uri.searchParams.get('period'), '30');
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const { docs } = useMemoryFirestore();
+const { hotp, currentStep } = require('../lib/totp');
+const {
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+} = require('../lib/twoFactor');
+
+// Enroll with the current code; returns the secret, the step it used and the recovery codes
+const enroll = async (uid) => {
+  const { secret } = await startEnrollment(uid, `${uid}@example.com`);
+  const step = currentStep();
+  const recoveryCodes = await confirmEnrollment(uid, hotp(secret, step));
+  return { secret, step, recoveryCodes };
+};
+
+test('enrollment needs a valid code and can only happen once', async () => {
+  const { secret, otpauthUrl } = await startEnrollment('u1', 'u1@example.com');
+  assert.ok(otpauthUrl.includes(`secret=${secret}`));
+  assert.deepEqual(await getTwoFactorStatus('u1'), { enabled: false, recoveryCodesRemaining: 0, enabledAt: null });
+
+  // A code from five minutes ahead is outside the drift window
+  await assert.rejects(confirmEnrollment('u1', hotp(secret, currentStep() + 10)), { code: '2fa/invalid-code' });
+  await assert.rejects(confirmEnrollment('nobody', '123456'), { code: '2fa/not-enrolling' });
+
+  const recoveryCodes = await confirmEnrollment('u1', hotp(secret, currentStep()));
+  assert.equal(recoveryCodes.length, 10);
+  assert.equal((await getTwoFactorStatus('u1')).enabled, true);
+  assert.equal(docs.get('users/u1').twoFactorEnabled, true);
+  assert.ok(!JSON.stringify(docs.get('twoFactor/u1')).includes(recoveryCodes[0]));
+
+  await assert.rejects(startEnrollment('u1', 'u1@example.com'), { code: '2fa/already-enabled' });
+});
+
+test('a TOTP step is accepted once, and never an earlier one', async () => {
+  const { secret, step } = await enroll('u2');
+
+  // The enrollment code can't be used again to sign in
+  await assert.rejects(verifySecondFactor('u2', { code: hotp(secret, step) }), { code: '2fa/invalid-code' });
+
+  const next = hotp(secret, step + 1);
+  assert.deepEqual(await verifySecondFactor('u2', { code: next }), { method: 'totp', recoveryCodesRemaining: 10 });
+  await assert.rejects(verifySecondFactor('u2', { code: next }), { code: '2fa/invalid-code' });
+  await assert.rejects(verifySecondFactor('u2', { code: hotp(secret, step) }), { code: '2fa/invalid-code' });
+});
+
+test('recovery codes are single-use and forgiving about format', async () => {
+  const { recoveryCodes } = await enroll('u3');
+  const [first, second] = recoveryCodes;
+
+  assert.deepEqual(await verifySecondFactor('u3', { recoveryCode: first }), { method: 'recovery', recoveryCodesRemaining: 9 });
+  await assert.rejects(verifySecondFactor('u3', { recoveryCode: first }), { code: '2fa/invalid-code' });
+
+  const loose = ` ${second.replace('-', '').toUpperCase()} `;
+  assert.equal((await verifySecondFactor('u3', { recoveryCode: loose })).recoveryCodesRemaining, 8);
+  assert.equal((await getTwoFactorStatus('u3')).recoveryCodesRemaining, 8);
+});
+
+test('second factors are refused for users without 2FA', async () => {
+  await assert.rejects(verifySecondFactor('nobody', { code: '123456' }), { code: '2fa/not-enabled' });
+});